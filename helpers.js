@@ -2,11 +2,22 @@
 
 
 const armlet = require('armlet');
+const fs = require('fs');
+const path = require('path');
 const trufstuf = require('./lib/trufstuf');
+const options = require('./lib/options');
+const baseline = require('./lib/baseline');
+const cache = require('./lib/cache');
+const manifest = require('./lib/manifest');
+const history = require('./lib/history');
+const credentials = require('./lib/credentials');
+const retry = require('./lib/retry');
+const submit = require('./lib/submit');
+const vyper = require('./lib/vyper');
 const { MythXIssues } = require('./lib/issues2eslint');
 const contracts = require('truffle-workflow-compile');
 const util = require('util');
-const yaml = require('js-yaml');
+const readline = require('readline');
 const asyncPool = require('tiny-async-pool');
 const multiProgress = require('multi-progress');
 const sleep = require('sleep');
@@ -14,6 +25,54 @@ const sleep = require('sleep');
 
 const defaultAnalyzeRateLimit = 10;
 
+// Analysis modes, with the default --timeout in seconds for each.
+// Full analyses run for up to half an hour on the MythX side.
+const defaultTimeouts = {
+    quick: 120,
+    full: 30 * 60,
+};
+
+// Seconds between status checks of analyses we wait for.
+const pollInterval = 5;
+
+// Printed whenever analyses run without credentials.
+const trialWarning = `
+*****************************************************************
+  You are using the MythX trial account. Trial analyses report
+  only part of the issues found, so your contracts may have more
+  vulnerabilities than reported. Sign up at https://mythx.io and
+  run "truffle run verify --login", or set MYTHX_API_KEY.
+*****************************************************************`;
+
+// Number of analyses shown by --list.
+const listLength = 20;
+
+// Human-readable report styles, which start with a line saying which
+// analysis mode the results come from.
+const headerStyles = ['stylish', 'table', 'codeframe'];
+
+// Report styles we format ourselves rather than with an ESLint formatter.
+const localFormatters = ['stylish', 'sarif', 'codeframe', 'html'];
+
+// Exit statuses of "truffle run verify".
+const exitCodes = {
+    ok: 0,
+    // Issues at or above the --fail-on threshold were reported.
+    issuesFound: 1,
+    // Some analyses failed, or the command was used incorrectly.
+    analysisErrors: 2,
+};
+
+// MythX severities that make the command fail for each --fail-on value.
+// "any" fails on every issue, whatever its severity.
+const failOnSeverities = {
+    high: ['High'],
+    medium: ['High', 'Medium'],
+    low: ['High', 'Medium', 'Low'],
+    any: null,
+    none: [],
+};
+
 // FIXME: util.promisify breaks compile internal call to writeContracts
 // const contractsCompile = util.promisify(contracts.compile);
 const contractsCompile = config => {
@@ -28,9 +87,36 @@ const contractsCompile = config => {
     });
 };
 
+/**
+ * Gets Vyper contracts compiled along with Solidity ones, with the source
+ * maps that place their issues on source lines. Truffle fails to compile
+ * anything when the project has Vyper sources but the vyper compiler is
+ * not installed, so in that case leave them out and say so.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @returns {Promise} - resolves when the compilers are set up
+ */
+const prepareVyper = async config => {
+    const compilers = config.compilers || {};
+    const sources = compilers.vyper ? vyper.findVyperSources(config.contracts_directory) : [];
+    if (sources.length === 0) {
+        return;
+    }
+    if (!(await vyper.getVyperVersion())) {
+        delete compilers.vyper;
+        const names = sources.map(file => path.basename(file)).join(', ');
+        config.logger.log(`The vyper compiler was not found, so these Vyper contracts are not ` +
+                          `compiled or analyzed: ${names}. Install Vyper to analyze them: ` +
+                          'https://vyper.readthedocs.io/en/latest/installing-vyper.html');
+        return;
+    }
+    compilers.vyper.settings = Object.assign({}, compilers.vyper.settings, { sourceMap: true });
+};
+
 /**
  *
  * Loads preferred ESLint formatter for warning reports.
+ * Styles in `localFormatters` are loaded from lib/formatters.
  *
  * @param {String} config
  * @returns ESLint formatter module
@@ -38,6 +124,9 @@ const contractsCompile = config => {
 function getFormatter(style) {
     const formatterName = style || 'stylish';
     try {
+        if (localFormatters.includes(formatterName)) {
+            return require(`./lib/formatters/${formatterName}`);
+        }
         return require(`eslint/lib/formatters/${formatterName}`);
     } catch (ex) {
         ex.message = `\nThere was a problem loading formatter option: ${style} \nError: ${
@@ -70,28 +159,112 @@ function printHelpMessage() {
     return new Promise(resolve => {
         const helpMessage = `Usage: truffle run verify [options] [*contract-name1* [*contract-name2*] ...]
 
-Runs MythX analyses on given Solidity contracts. If no contracts are
-given, all are analyzed.
+Runs MythX analyses on given Solidity and Vyper contracts. If no contracts are
+given, all are analyzed. Contracts are given by name (Token), by
+qualified name (contracts/Token.sol:Token or Token.sol:Token), or by
+path or glob of their source files (contracts/token/**/*.sol). Quote
+globs so that the shell leaves them alone.
+
+Defaults for the options below can be set in a .mythx.yml file in the
+project directory or in a "verify" section of truffle-config.js.
 
 Options:
   --debug    Provide additional debug output. Use --debug=2 for more
              verbose output
-  --uuid *UUID*
-             Print in YAML results from a prior run having *UUID*
-             Note: this is still a bit raw and will be improved.
+  --exclude *contract*
+             Leave out the contracts given by name, qualified name, path or
+             glob. May be given several times.
+  --uuid *UUID* [*contract-name*]
+             Report the results of a prior run having *UUID*, like a new
+             run. Give the contract name if the analysis can't be matched
+             to its build artifacts, which map issues to source lines.
+             Without them, issues are listed with their raw source maps.
   --mode { quick | full }
-             Perform quick or in-depth (full) analysis.
-  --style { stylish | unix | json | table | tap | ... },
+             Perform quick or in-depth (full) analysis. The default is quick.
+             The analysis mode is shown on progress bars and at the top
+             of the report.
+  --style { stylish | codeframe | html | sarif | unix | json | table | tap | ... },
              Output report in the given es-lint style style.
              See https://eslint.org/docs/user-guide/formatters/ for a full list.
+             "codeframe" shows each issue in its source, with the SWC title
+             and the full description.
+             "html" writes a self-contained web page, best used with --output.
+             "sarif" writes a SARIF 2.1.0 log with one run per contract.
+  --context *N*
+             Show *N* lines of source before and after each issue in the
+             codeframe report. The default is 2. Without --style, this
+             selects the codeframe report.
+  --output *path*
+             Write the report to *path* instead of the console, creating
+             directories as needed. A short summary is still printed.
+             --style and --output can be given several times: each --style
+             is paired with the --output at the same position.
   --timeout *seconds* ,
              Limit MythX analyses time to *s* seconds.
-             The default is 120 seconds (two minutes).
+             The default is 120 seconds (two minutes) for quick analyses
+             and 1800 seconds (half an hour) for full analyses.
   --limit *N*
              Have no more than *N* analysis requests pending at a time.
              As results come back, remaining contracts are submitted.
              The default is ${defaultAnalyzeRateLimit} contracts, the maximum value, but you can
              set this lower.
+  --retries *N*
+             Retry each request to MythX up to *N* times when it fails
+             because of network trouble, rate limiting or a MythX server
+             error. Submissions are retried only when they did not reach
+             MythX or MythX turned them away, so that no analysis runs
+             twice. Retries wait longer each time, or as long as MythX
+             asks, up to 5 minutes.
+             The default is ${retry.defaultRetries}.
+  --fail-on { high | medium | low | any | none }
+             Exit with status 1 when issues of the given severity or
+             higher are reported. "any" counts issues of every severity.
+             The default is none. Whatever this is set to, the exit
+             status is 2 when an analysis could not be completed.
+  --no-inline-suppressions
+             Report issues even where "mythx-disable" comments in the
+             source suppress them.
+  --baseline-write *file*
+             Record the issues found in *file*, to be used with --baseline.
+  --baseline *file*
+             Report only issues that are not recorded in the baseline
+             *file*. Issues still match when the code around them moves.
+  --no-cache
+             Analyze every contract, even those whose results from an
+             earlier analysis of the same code and mode are cached in the
+             build directory.
+  --clear-cache
+             Remove all cached results before analyzing.
+  --include-abstract
+             Analyze interfaces, abstract contracts and other contracts
+             compiled to no bytecode too. They are skipped otherwise.
+  --recompile
+             Compile all contracts before analyzing, not only those that
+             changed. Contracts whose build artifacts are older than their
+             source, or whose source is missing, are otherwise skipped.
+  --submit-only
+             Submit the analyses and exit without waiting for results,
+             writing the UUID of each analysis to a manifest file.
+  --manifest *file*
+             The manifest file written by --submit-only. The default is
+             ${manifest.defaultManifestFile}.
+  --collect *file*
+             Wait for the analyses in a manifest written by --submit-only
+             and report their results, using the build artifacts they
+             were submitted with.
+  --list     Show recent analyses: their UUID, contract, mode, status
+             and when they were submitted. Analyses submitted from this
+             project are kept in a history in the build directory.
+  --status *UUID*
+             Show the status of the analysis having *UUID*, without
+             fetching its issues.
+  --login    Ask for MythX credentials, an API key or an email or Ethereum
+             address and password, and save them for later runs. The file
+             they are saved in is readable only by you. MYTHX_API_KEY,
+             MYTHX_PASSWORD, MYTHX_EMAIL and MYTHX_ETH_ADDRESS
+             environment variables take precedence over them.
+  --logout   Remove saved MythX credentials.
+  --whoami   Show which MythX identity and limits analyses run with.
   --version  Show package and MythX version information.
   --no-progress
              Do not display progress bars during analysis.
@@ -165,6 +338,162 @@ const cleanAnalyDataEmptyProps = (data, debug, logger) => {
     return result;
 }
 
+/**
+ * Records an analysis in the project's history, for --list and --status.
+ * Failing to record it doesn't fail the analysis.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @param {Object} entry - uuid, and any of contractName, mode, status and submittedAt
+ */
+const recordHistory = (config, entry) => {
+    const historyFile = history.getHistoryFile(config);
+    if (!historyFile || !entry.uuid) {
+        return;
+    }
+    try {
+        history.recordAnalysis(historyFile, entry);
+    } catch (err) {
+        if (config.debug) {
+            config.logger.debug(`Could not record analysis ${entry.uuid} in ${historyFile}: ${err.message}`);
+        }
+    }
+};
+
+const retryWait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Options for retry.withRetries() from the --retries option.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @param {String} contractName - contract being analyzed, for messages
+ * @param {Function} onRetry - also called before each retry, with the attempt number
+ * @returns {Object}
+ */
+const getRetryOptions = (config, contractName, onRetry = () => {}) => {
+    const retries = config.retries !== undefined ? config.retries : retry.defaultRetries;
+    return {
+        retries,
+        wait: retryWait,
+        onRetry: (attempt, kind, delay, err) => {
+            if (config.debug) {
+                config.logger.debug(`${contractName}: ${kind} failure (${err.message || err}); ` +
+                                    `attempt ${attempt} of ${retries + 1} in ${delay / 1000}s`);
+            }
+            onRetry(attempt);
+        },
+    };
+};
+
+/**
+ * Submits an analysis, retrying only when the submission surely did not
+ * reach MythX: a submission that failed after MythX got it may have been
+ * accepted, and sending it again would run the analysis twice.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {Object} analyzeOpts - options for armlet's analyze functions
+ * @param {Object} retryOptions - options for retry.withRetries()
+ * @returns {Promise} - resolves to the UUID of the analysis
+ */
+const submitWithRetries = (client, analyzeOpts, retryOptions) =>
+    retry.withRetries(() => submit.submitAnalysis(client, analyzeOpts),
+                      Object.assign({}, retryOptions, { retryIf: retry.isUnprocessed }));
+
+/**
+ * Sorts out the outcome of each contract's analysis.
+ *
+ * @param {Array<Object>} results - for each contract: contractName; outcome,
+ *        one of 'completed', 'timed out', 'failed', 'skipped-stale' or 'not analyzed';
+ *        and, depending on the outcome, uuid, detail, error and obj,
+ *        the analyzed MythXIssues. Null for contracts that were not selected.
+ * @returns {Object} - objects: analyzed contracts; errors: errors to report;
+ *        timeouts: contractName and uuid of timed-out analyses;
+ *        outcomes: contractName, outcome, uuid and detail of every contract
+ */
+const collectOutcomes = results => results
+    .filter(result => result)
+    .reduce((accum, { contractName, outcome, uuid, detail, error, obj }) => {
+        if (obj) {
+            accum.objects.push(obj);
+        }
+        if (error) {
+            accum.errors.push(error);
+        }
+        if (outcome === 'timed out') {
+            accum.timeouts.push({ contractName, uuid });
+        }
+        if (outcome === 'failed' && !detail) {
+            detail = (error && (error.error || error.message)) || String(error);
+        }
+        accum.outcomes.push({ contractName, outcome, uuid, detail });
+        return accum;
+    }, { errors: [], objects: [], timeouts: [], outcomes: [] });
+
+/**
+ * The project directory, which paths and globs selecting contracts are
+ * relative to.
+ *
+ * @param {Object} config - Truffle configuration object.
+ * @returns {String}
+ */
+const getWorkingDirectory = config => config.working_directory || process.cwd();
+
+/**
+ * Is a contract selected for analysis, on the command line or in the
+ * options file, and not excluded? Contracts are selected and excluded by
+ * name, qualified name, or path or glob of their source file.
+ *
+ * @param {Object} buildObj - Truffle smart contract build object
+ * @param {Object} config - Truffle configuration object.
+ * @param {Array<String>} contractNames - List of smart contract selectors to run analyze (*Optional*).
+ * @returns {boolean}
+ */
+const isContractSelected = (buildObj, config, contractNames) => {
+    const workingDirectory = getWorkingDirectory(config);
+    const matches = selector => trufstuf.matchesContract(buildObj, selector, workingDirectory);
+    if (contractNames && !contractNames.some(matches)) {
+        return false;
+    }
+    return !(config.exclude && [].concat(config.exclude).some(matches));
+};
+
+/**
+ * Builds the armlet analyze options of a contract and records the
+ * analysis mode on it.
+ *
+ * @param {MythXIssues} obj - the contract to analyze
+ * @param {Object} config - Truffle configuration object.
+ * @returns {Object} - options for armlet's analyze functions
+ */
+const makeAnalyzeOpts = (obj, config) => {
+    const mode = config.mode || 'quick';
+    const timeout = (config.timeout || defaultTimeouts[mode]) * 1000;
+
+    let analyzeOpts = {
+        timeout,
+        clientToolName: 'truffle',
+    };
+
+    analyzeOpts.data = cleanAnalyDataEmptyProps(obj.buildObj, config.debug,
+                                                config.logger.debug);
+    analyzeOpts.data.analysisMode = mode;
+    obj.mode = mode;
+    if (config.debug > 1) {
+        config.logger.debug(`${util.inspect(analyzeOpts, {depth: null})}`);
+    }
+    return analyzeOpts;
+};
+
+/**
+ * Reads build json files, with the source path of each contract as found
+ * in this project.
+ *
+ * @param {Object} config - Truffle configuration object.
+ * @param {Array<String>} jsonFiles - List of smart contract build json files.
+ * @returns {Promise} - resolves to the build objects
+ */
+const parseBuildJsonFiles = (config, jsonFiles) =>
+    Promise.all(jsonFiles.map(file => trufstuf.parseBuildJson(file, config.contracts_directory)));
+
 /**
  * Runs MythX security analyses on smart contract build json files found
  * in truffle build folder
@@ -176,21 +505,23 @@ const cleanAnalyDataEmptyProps = (data, debug, logger) => {
  * @returns {Promise} - Resolves array of hashmaps with issues for each contract.
  */
 const doAnalysis = async (client, config, jsonFiles, contractNames = null, limit = defaultAnalyzeRateLimit) => {
+    /**
+     * Parse all build files up front: contracts need the build objects
+     * of the files they import to submit their full compilation unit.
+     */
+    const buildObjs = await parseBuildJsonFiles(config, jsonFiles);
+
     /**
    * Prepare for progress bar
    */
     const progress = ('progress' in config) ? config.progress : true;
+    // --no-cache sets config.cache to false.
+    const cacheDirectory = config.cache !== false ? cache.getCacheDirectory(config) : null;
     let multi;
     let indent;
     if (progress) {
         multi = new multiProgress();
-        let contractNameLengths = []
-        await Promise.all(jsonFiles.map(async file => {
-            const buildObj = await trufstuf.parseBuildJson(file);
-            const contractName = buildObj.contractName;
-            contractNameLengths.push(contractName.length);
-        }));
-        indent = Math.max(...contractNameLengths);
+        indent = Math.max(...buildObjs.map(({ contractName }) => contractName.length));
     }
 
     /**
@@ -201,45 +532,59 @@ const doAnalysis = async (client, config, jsonFiles, contractNames = null, limit
    * are finished.
    */
 
-    const results = await asyncPool(limit, jsonFiles, async file => {
-        const buildObj = await trufstuf.parseBuildJson(file);
-
+    const results = await asyncPool(limit, buildObjs, async buildObj => {
         /**
          * If contractNames have been passed then skip analyze for unwanted ones.
          */
-        if (contractNames && contractNames.indexOf(buildObj.contractName) < 0) {
-            return [null, null];
+        if (!isContractSelected(buildObj, config, contractNames)) {
+            return null;
         }
 
-        const obj = new MythXIssues(buildObj);
-
-        const timeout = (config.timeout || 120) * 1000;
-
-        let analyzeOpts = {
-            timeout,
-            clientToolName: 'truffle',
-        };
-
-        analyzeOpts.data = cleanAnalyDataEmptyProps(obj.buildObj, config.debug,
-                                                    config.logger.debug);
-        analyzeOpts.data.analysisMode = analyzeOpts.mode || 'quick';
-        if (config.debug > 1) {
-            config.logger.debug(`${util.inspect(analyzeOpts, {depth: null})}`);
+        const contractName = buildObj.contractName;
+        const unanalyzable = !config['include-abstract'] && trufstuf.getUnanalyzableReason(buildObj);
+        if (unanalyzable) {
+            return { contractName, outcome: 'not analyzed', detail: unanalyzable };
         }
+        const obj = new MythXIssues(buildObj, buildObjs, config);
+        const analyzeOpts = makeAnalyzeOpts(obj, config);
+        const mode = obj.mode;
+        const timeout = analyzeOpts.timeout;
 
         // create progress bars.
         let bar;
         let timer;
         if (progress) {
-            bar = multi.newBar(`${buildObj.contractName.padStart(indent)} |` + ':bar'.cyan + '| :percent || Elapsed: :elapseds :status', {
+            bar = multi.newBar(`${buildObj.contractName.padStart(indent)} ${mode.padEnd(5)} |` + ':bar'.cyan + '| :percent || Elapsed: :elapseds :status', {
                 complete: '*',
                 incomplete: ' ',
                 width: 40,
                 total: timeout / 1000
             });
+        }
+
+        // Reuse the result of an earlier analysis of the same data.
+        const cacheKey = cacheDirectory && cache.getCacheKey(analyzeOpts.data, mode, config.mythxAccount);
+        const cached = cacheKey && cache.readCache(cacheDirectory, cacheKey);
+        if (cached) {
+            if (config.debug) {
+                config.logger.debug(`Using cached results of job ${cached.uuid} for ${buildObj.contractName}`);
+            }
+            if (progress) {
+                bar.tick(timeout / 1000, {
+                    'status': '✓ cached'.green
+                });
+            }
+            obj.uuid = cached.uuid;
+            obj.setIssues(cached.issues);
+            return { contractName, outcome: 'completed', uuid: cached.uuid, detail: 'cached', obj };
+        }
+
+        // Transient failures are retried; the bar shows which attempt is running.
+        let attemptStatus = '';
+        if (progress) {
             timer = setInterval(() => {
                 bar.tick({
-                    'status': 'in progress...'
+                    'status': `in progress${attemptStatus}...`
                 });
                 if (bar.complete) {
                     clearInterval(timer);
@@ -247,15 +592,32 @@ const doAnalysis = async (client, config, jsonFiles, contractNames = null, limit
             }, 1000);
         }
 
-        // request analysis to armlet.
+        // Each step is retried on its own: once MythX has the analysis,
+        // a failure while waiting for it must not submit it again.
+        let uuid;
         try {
-            const {issues, status} = await client.analyzeWithStatus(analyzeOpts);
+            const retryOptions = getRetryOptions(config, buildObj.contractName, attempt => {
+                attemptStatus = ` (attempt ${attempt}/${retryOptions.retries + 1})`;
+            });
+            uuid = await submitWithRetries(client, analyzeOpts, retryOptions);
             if (config.debug) {
-                config.logger.debug(`UUID for this job is ${status.uuid}`);
-                if (config.debug > 1) {
-                    config.logger.debug(`${util.inspect(issues, {depth: null})}`);
-                    config.logger.debug(`${util.inspect(status, {depth: null})}`);
-                }
+                config.logger.debug(`UUID for this job is ${uuid}`);
+            }
+            // Record the UUID before waiting, so that it isn't lost if we
+            // fail or are interrupted while the analysis runs.
+            recordHistory(config, {
+                uuid,
+                contractName: buildObj.contractName,
+                mode,
+                status: 'Submitted',
+            });
+            const status = await waitForAnalysis(client, uuid, timeout, retryOptions);
+            const finished = status.status === 'Finished';
+            const issues = finished ?
+                await retry.withRetries(() => submit.getIssues(client, uuid), retryOptions) : [];
+            if (config.debug > 1) {
+                config.logger.debug(`${util.inspect(issues, {depth: null})}`);
+                config.logger.debug(`${util.inspect(status, {depth: null})}`);
             }
 
             if (progress) {
@@ -263,23 +625,54 @@ const doAnalysis = async (client, config, jsonFiles, contractNames = null, limit
                 sleep.msleep(1000); // wait for last setInterval finising
             }
 
-            if (status.status === 'Error') {
+            // The analysis goes on at MythX after we stop waiting for it,
+            // so keep its UUID to fetch the results later.
+            const timedOut = !finished && status.status !== 'Error';
+            recordHistory(config, {
+                uuid,
+                status: timedOut ? 'Timed out' : status.status,
+                submittedAt: status.submittedAt,
+            });
+
+            if (timedOut) {
+                if (progress) {
+                    bar.tick({
+                        'status': '⏱ timed out'.yellow
+                    });
+                    bar.terminate();    // terminate since bar.complete is false at this time
+                }
+                return { contractName, outcome: 'timed out', uuid };
+            } else if (status.status === 'Error') {
                 if (progress) {
                     bar.tick({
                         'status': '✗ Error'.red
                     });
                     bar.terminate();    // terminate since bar.complete is false at this time
                 }
-                return [status, null];
+                return { contractName, outcome: 'failed', uuid, error: status };
             } else {
                 if (progress) {
                     bar.tick(timeout / 1000, {
                         'status': '✓ completed'.green
                     });
                 }
+                obj.uuid = uuid;
                 obj.setIssues(issues);
+                if (cacheKey) {
+                    try {
+                        cache.writeCache(cacheDirectory, cacheKey, {
+                            contractName: buildObj.contractName,
+                            mode,
+                            uuid,
+                            issues,
+                        });
+                    } catch (err) {
+                        // Not being able to cache is no reason to lose the results.
+                        config.logger.log(`Could not cache the results of ${buildObj.contractName}: ${err.message}`);
+                    }
+                }
             }
-            return [null, obj];
+            return { contractName, outcome: 'completed', uuid, obj };
         } catch (err) {
             if (progress) {
                 clearInterval(timer);
@@ -289,32 +682,326 @@ const doAnalysis = async (client, config, jsonFiles, contractNames = null, limit
                 });
                 bar.terminate();    // terminate since bar.complete is false at this time
             }
+            return { contractName, outcome: 'failed', uuid, error: err };
+        }
+    });
+
+    return collectOutcomes(results);
+};
+
+/**
+ * Submits MythX analyses of smart contracts, for --submit-only.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {Object} config - Truffle configuration object.
+ * @param {Array<String>} jsonFiles - List of smart contract build json files.
+ * @param {Array<String>} contractNames - List of smart contract name to run analyze (*Optional*).
+ * @returns {Promise} - resolves to the contractName and uuid of each
+ *                      submitted analysis, and the errors encountered.
+ */
+const doSubmit = async (client, config, jsonFiles, contractNames = null, limit = defaultAnalyzeRateLimit) => {
+    const buildObjs = await parseBuildJsonFiles(config, jsonFiles);
+    const selected = buildObjs
+        .filter(buildObj => isContractSelected(buildObj, config, contractNames))
+        .filter(buildObj => {
+            const unanalyzable = !config['include-abstract'] && trufstuf.getUnanalyzableReason(buildObj);
+            if (unanalyzable) {
+                config.logger.log(`Not submitted ${buildObj.contractName}: ${unanalyzable}`);
+            }
+            return !unanalyzable;
+        });
+
+    const results = await asyncPool(limit, selected, async buildObj => {
+        const obj = new MythXIssues(buildObj, buildObjs, config);
+        const analyzeOpts = makeAnalyzeOpts(obj, config);
+        try {
+            const uuid = await submitWithRetries(client, analyzeOpts, getRetryOptions(config, buildObj.contractName));
+            config.logger.log(`Submitted ${buildObj.contractName}: UUID ${uuid}`);
+            const payloadHash = cache.getCacheKey(analyzeOpts.data, obj.mode);
+            recordHistory(config, {
+                uuid,
+                contractName: buildObj.contractName,
+                mode: obj.mode,
+                status: 'Submitted',
+            });
+            return [null, { contractName: buildObj.contractName, uuid, payloadHash }];
+        } catch (err) {
             return [err, null];
         }
     });
 
-    return results.reduce((accum, curr) => {
-        const [ err, obj ] = curr;
+    return results.reduce((accum, [ err, analysis ]) => {
         if (err) {
             accum.errors.push(err);
-        } else if (obj) {
-            accum.objects.push(obj);
+        } else {
+            accum.analyses.push(analysis);
         }
         return accum;
-    }, { errors: [], objects: [] });
+    }, { errors: [], analyses: [] });
 };
 
-function doReport(config, objects, errors, notFoundContracts) {
-    const spaceLimited = ['tap', 'markdown', 'json'].indexOf(config.style) === -1;
-    const eslintIssues = objects
-        .map(obj => obj.getEslintIssues(spaceLimited))
+/**
+ * Polls the status of an analysis until it is done or we give up.
+ * Each poll is retried on its own when it fails for a passing reason.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {String} uuid - UUID of the analysis
+ * @param {integer} timeout - how long to wait, in milliseconds
+ * @param {Object} retryOptions - options for retry.withRetries()
+ * @returns {Promise} - resolves to the last status of the analysis
+ */
+const waitForAnalysis = async (client, uuid, timeout, retryOptions) => {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const status = await retry.withRetries(() => submit.getStatus(client, uuid), retryOptions);
+        if (status.status === 'Finished' || status.status === 'Error' || Date.now() >= deadline) {
+            return status;
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval * 1000));
+    }
+};
+
+/**
+ * Lists every build artifact of the project, including those older than
+ * their source. Results of earlier analyses are mapped through the
+ * artifacts they were submitted with, which may have gone out of date
+ * since.
+ *
+ * @param {Object} config - Truffle configuration object.
+ * @returns {Promise} - resolves to the paths of the build json files
+ */
+const getAllBuildJsonFiles = async config => {
+    const { files, skipped } = await trufstuf.scanTruffleBuildJsonFiles(config.contracts_build_directory,
+                                                                        config.contracts_directory);
+    return files.concat(skipped.map(({ file }) => file));
+};
+
+/**
+ * Fetches the results of analyses listed in a --submit-only manifest and
+ * maps them back to the build artifacts, for --collect. Artifacts that
+ * changed since they were submitted would map issues to the wrong lines,
+ * so their analyses are reported as failed.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {Object} config - Truffle configuration object.
+ * @param {Object} manifestObj - the manifest, as read by manifest.readManifest
+ * @param {Array<String>} jsonFiles - List of smart contract build json files.
+ * @returns {Promise} - Resolves array of hashmaps with issues for each contract,
+ *                      like doAnalysis.
+ */
+const doCollect = async (client, config, manifestObj, jsonFiles, limit = defaultAnalyzeRateLimit) => {
+    const buildObjs = await parseBuildJsonFiles(config, jsonFiles);
+    const mode = manifestObj.mode || 'quick';
+    const timeout = (config.timeout || defaultTimeouts[mode]) * 1000;
+
+    const results = await asyncPool(limit, manifestObj.analyses, async ({ contractName, uuid, payloadHash }) => {
+        const buildObj = buildObjs.find(obj => obj.contractName === contractName);
+        if (!buildObj) {
+            const error = `No build artifact found for ${contractName}, analysis ${uuid}.`;
+            return { contractName, outcome: 'failed', uuid, error };
+        }
+        const obj = new MythXIssues(buildObj, buildObjs, config);
+        // Manifests written before payload hashes were recorded have none to check.
+        if (payloadHash) {
+            const { data } = makeAnalyzeOpts(obj, Object.assign({}, config, { mode, debug: false }));
+            if (cache.getCacheKey(data, mode) !== payloadHash) {
+                const error = `The build artifacts of ${contractName} changed since analysis ${uuid} ` +
+                      'was submitted, so its issues can\'t be mapped to the analyzed source. ' +
+                      'Submit the contract again.';
+                return { contractName, outcome: 'failed', uuid, error };
+            }
+        }
+        try {
+            const retryOptions = getRetryOptions(config, contractName);
+            const status = await waitForAnalysis(client, uuid, timeout, retryOptions);
+            recordHistory(config, { uuid, contractName, mode, status: status.status });
+            if (status.status === 'Error') {
+                return { contractName, outcome: 'failed', uuid, error: status };
+            }
+            if (status.status !== 'Finished') {
+                return { contractName, outcome: 'timed out', uuid };
+            }
+            const issues = await retry.withRetries(() => submit.getIssues(client, uuid), retryOptions);
+            obj.uuid = uuid;
+            obj.mode = mode;
+            obj.setIssues(issues);
+            return { contractName, outcome: 'completed', uuid, obj };
+        } catch (err) {
+            return { contractName, outcome: 'failed', uuid, error: err };
+        }
+    });
+
+    return collectOutcomes(results);
+};
+
+/**
+ * Pairs each --style with the --output given at the same position.
+ * Both options can be repeated. A style without an output is printed
+ * on the console, and an output without a style gets a stylish report.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @returns {Array<Object>} - style and output (undefined for the console) of each report
+ */
+const getReportTargets = config => {
+    const styles = [].concat(config.style || []);
+    const outputs = [].concat(config.output || []);
+    const targets = [];
+    for (let i = 0; i < Math.max(styles.length, outputs.length, 1); i++) {
+        targets.push({
+            style: styles[i] || 'stylish',
+            output: outputs[i],
+        });
+    }
+    return targets;
+};
+
+/**
+ * Creates a directory and any missing parent directories.
+ *
+ * @param {String} directory
+ */
+const ensureDirectory = directory => {
+    if (fs.existsSync(directory)) {
+        return;
+    }
+    ensureDirectory(path.dirname(directory));
+    fs.mkdirSync(directory);
+};
+
+/**
+ * Writes a formatted report to a file, creating its directory if needed.
+ *
+ * @param {String} output - path of the report file
+ * @param {String} report - the formatted report
+ */
+const writeReport = (output, report) => {
+    ensureDirectory(path.dirname(path.resolve(output)));
+    fs.writeFileSync(output, report);
+};
+
+const pluralIssues = count => `${count} issue${count === 1 ? '' : 's'}`;
+
+/**
+ * Says how many issues were left out of the report, and why.
+ *
+ * @param {Object} hidden - number of issues suppressed by mythx-disable
+ *                          comments and hidden by the --baseline file
+ * @returns {String} - empty when nothing was left out
+ */
+const describeHidden = ({ suppressed = 0, baselined = 0 }) => {
+    const reasons = [];
+    if (suppressed > 0) {
+        reasons.push(`${pluralIssues(suppressed)} suppressed by inline comments`);
+    }
+    if (baselined > 0) {
+        reasons.push(`${pluralIssues(baselined)} hidden by the baseline`);
+    }
+    return reasons.join(', ');
+};
+
+/**
+ * Summarizes reported issues in a line, e.g.
+ * "3 issues found (1 High, 2 Medium, 0 Low) in 2 files".
+ *
+ * @param {ESLintIssue[]} eslintIssues - the issues that were reported
+ * @param {Object} hidden - numbers of issues left out, see describeHidden()
+ * @returns {String}
+ */
+const summarizeIssues = (eslintIssues, hidden = {}) => {
+    const messages = eslintIssues
+        .map(({ messages }) => messages)
         .reduce((acc, curr) => acc.concat(curr), []);
+    const count = severity => messages.filter(({ mythXseverity }) => mythXseverity === severity).length;
+    const files = eslintIssues.filter(({ messages }) => messages.length > 0).length;
+    const hiddenText = describeHidden(hidden);
+    return `${pluralIssues(messages.length)} found ` +
+        `(${count('High')} High, ${count('Medium')} Medium, ${count('Low')} Low) ` +
+        `in ${files} file${files === 1 ? '' : 's'}` +
+        (hiddenText ? `; ${hiddenText}` : '');
+};
 
-    // FIXME: temporary solution until backend will return correct filepath and output.
-    const eslintIssuesBtBaseName = groupEslintIssuesByBasename(eslintIssues);
+/**
+ * Says which analysis mode the reported results come from, e.g.
+ * "MythX full analysis of 2 contracts".
+ *
+ * @param {Array<MythXIssues>} objects - analyzed contracts
+ * @returns {String}
+ */
+const describeModes = objects => {
+    const byMode = {};
+    objects.forEach(({ mode, contractName }) => {
+        // The mode of results fetched with --uuid may not be known.
+        byMode[mode || 'unknown'] = (byMode[mode || 'unknown'] || []).concat(contractName);
+    });
+    const modes = Object.keys(byMode);
+    if (modes.length === 1) {
+        const count = byMode[modes[0]].length;
+        const mode = modes[0] === 'unknown' ? '' : `${modes[0]} `;
+        return `MythX ${mode}analysis of ${count} contract${count === 1 ? '' : 's'}`;
+    }
+    return 'MythX analyses: ' + modes
+        .map(mode => `${mode} (${byMode[mode].join(', ')})`)
+        .join(', ');
+};
 
-    const formatter = getFormatter(config.style);
-    config.logger.log(formatter(eslintIssuesBtBaseName));
+/**
+ * Prints or writes the analysis reports, one per --style/--output pair,
+ * and prints any errors encountered.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @param {Array<MythXIssues>} objects - analyzed contracts
+ * @param {Array<Object>} errors - errors collected by doAnalysis
+ * @param {Array<String>} notFoundContracts - requested contracts that were not found
+ * @param {Array<Error>} writeErrors - gets the errors of reports that could not
+ *        be written; the other reports are still written (*Optional*)
+ * @returns {ESLintIssue[]} - the issues that were reported
+ */
+function doReport(config, objects, errors, notFoundContracts, writeErrors = []) {
+    const targets = getReportTargets(config);
+    let reported = [];
+    const hidden = {};
+
+    targets.forEach(({ style, output }, i) => {
+        const spaceLimited = ['tap', 'markdown', 'json', 'sarif', 'codeframe', 'html'].indexOf(style) === -1;
+        const eslintIssues = objects
+            .map(obj => obj.getEslintIssues(spaceLimited))
+            .reduce((acc, curr) => acc.concat(curr), []);
+
+        // FIXME: temporary solution until backend will return correct filepath and output.
+        const eslintIssuesBtBaseName = groupEslintIssuesByBasename(eslintIssues);
+        if (i === 0) {
+            reported = eslintIssuesBtBaseName;
+            hidden.suppressed = objects.reduce((acc, obj) => acc + (obj.suppressedCount || 0), 0);
+            hidden.baselined = objects.reduce((acc, obj) => acc + (obj.baselinedCount || 0), 0);
+        }
+
+        const formatter = getFormatter(style);
+        // Like ESLint, pass extra data as the second argument. Formatters that
+        // report per analysis, such as sarif, need the analyzed objects, and
+        // codeframe needs their sources.
+        let report = formatter(eslintIssuesBtBaseName, { objects, context: config.context });
+        if (headerStyles.includes(style) && objects.length > 0) {
+            report = `${describeModes(objects)}\n${report}`;
+        }
+        if (output) {
+            try {
+                writeReport(output, report);
+                config.logger.log(`Wrote ${style} report to ${output}`);
+            } catch (err) {
+                config.logger.error(`Could not write ${style} report to ${output}: ${err.message}`);
+                writeErrors.push(err);
+            }
+        } else {
+            config.logger.log(report);
+        }
+    });
+
+    // When every report went to a file, still say what was found.
+    if (targets.every(({ output }) => output)) {
+        config.logger.log(summarizeIssues(reported, hidden));
+    } else if (describeHidden(hidden)) {
+        config.logger.log(`${describeHidden(hidden)}.`);
+    }
 
     if (notFoundContracts.length > 0) {
         config.logger.error(`These smart contracts were not found: ${notFoundContracts.join(', ')}`);
@@ -329,91 +1016,641 @@ function doReport(config, objects, errors, notFoundContracts) {
             }
         });
     }
+
+    return reported;
 }
 
-// A stripped-down listing for issues.
-// We will need this until we can beef up information in UUID retrieval
-function ghettoReport(logger, results) {
-    if (results.length === 0) {
+/**
+ * Works out the exit status of a run from what was reported.
+ *
+ * @param {String} failOn - the --fail-on threshold, a key of failOnSeverities
+ * @param {ESLintIssue[]} eslintIssues - the issues that were reported
+ * @param {Array<Object>} errors - errors collected by doAnalysis
+ * @returns {integer} - one of exitCodes
+ */
+const getExitCode = (failOn, eslintIssues, errors) => {
+    if (errors.length > 0) {
+        return exitCodes.analysisErrors;
+    }
+
+    const severities = failOnSeverities[failOn || 'none'];
+    const failing = eslintIssues
+        .map(({ messages }) => messages)
+        .reduce((acc, curr) => acc.concat(curr), [])
+        .filter(({ mythXseverity }) => !severities || severities.includes(mythXseverity));
+    return failing.length > 0 ? exitCodes.issuesFound : exitCodes.ok;
+};
+
+/**
+ * Formats records as a plain-text table, one line per record.
+ *
+ * @param {Array<Array<String>>} columns - title and record key of each column
+ * @param {Array<Object>} records
+ * @returns {Array<String>} - lines of the table, starting with its header
+ */
+const formatTable = (columns, records) => {
+    const rows = records.map(record => columns.map(([ , key ]) => String(record[key] || '-')));
+    const widths = columns.map(([ title ], i) =>
+        Math.max(title.length, ...rows.map(row => row[i].length)));
+    return [columns.map(([ title ]) => title)].concat(rows)
+        .map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimRight());
+};
+
+/**
+ * Formats analyses as a table, one line per analysis.
+ *
+ * @param {Array<Object>} analyses - uuid, contractName, mode, status and submittedAt
+ * @returns {Array<String>} - lines of the table, starting with its header
+ */
+const formatAnalyses = analyses => formatTable([
+    ['UUID', 'uuid'],
+    ['Contract', 'contractName'],
+    ['Mode', 'mode'],
+    ['Status', 'status'],
+    ['Submitted', 'submittedAt'],
+], analyses);
+
+/**
+ * Formats the outcome of each contract's analysis as a table. Timed-out
+ * analyses say how to fetch their results once MythX has them.
+ *
+ * @param {Array<Object>} outcomes - as collected by collectOutcomes()
+ * @returns {Array<String>} - lines of the table, starting with its header
+ */
+const formatOutcomes = outcomes => formatTable([
+    ['Contract', 'contractName'],
+    ['Status', 'outcome'],
+    ['UUID', 'uuid'],
+    ['Details', 'detail'],
+], outcomes.map(outcome => Object.assign({}, outcome, {
+    detail: outcome.outcome === 'timed out' && outcome.uuid ?
+        `fetch later with: truffle run verify --uuid ${outcome.uuid} ${outcome.contractName}` :
+        outcome.detail && String(outcome.detail).split('\n')[0],
+})));
+
+/**
+ * Says which contracts were not analyzed because their build artifacts
+ * are out of date, and why.
+ *
+ * @param {Array<Object>} skipped - contractName and reason of each contract
+ * @returns {String}
+ */
+const describeSkipped = skipped => [
+    `Skipped ${skipped.length} contract${skipped.length === 1 ? '' : 's'} with out-of-date build artifacts:`,
+].concat(skipped.map(({ contractName, reason }) => `  ${contractName}: ${reason}`), [
+    'Run with --recompile to compile all contracts again.',
+]).join('\n');
+
+/**
+ * Handles: truffle run verify --list
+ * Shows recent analyses, from MythX and from the local history, which
+ * knows the contract and mode of each analysis submitted from this project.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {Object} config - truffle configuration object.
+ * @returns {Promise} - resolves to the exit status, one of exitCodes
+ */
+const doList = async (client, config) => {
+    const log = config.logger.log;
+    const historyFile = history.getHistoryFile(config);
+    const byUUID = {};
+    (historyFile ? history.readHistory(historyFile) : []).forEach(entry => {
+        byUUID[entry.uuid] = entry;
+    });
+
+    let exitCode = exitCodes.ok;
+    try {
+        const response = await client.listAnalyses();
+        const remote = Array.isArray(response) ? response : (response && response.analyses) || [];
+        remote.forEach(({ uuid, status, submittedAt }) => {
+            // MythX knows the latest status; only we know the contract and mode.
+            byUUID[uuid] = Object.assign({}, byUUID[uuid], { uuid, status, submittedAt });
+        });
+    } catch (err) {
+        log(`Could not list analyses from MythX, showing the local history only: ${err.message || err}`);
+        exitCode = exitCodes.analysisErrors;
+    }
+
+    const analyses = Object.values(byUUID)
+        .sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt)))
+        .slice(0, listLength);
+    if (analyses.length === 0) {
+        log('No analyses found');
+    } else {
+        log(formatAnalyses(analyses).join('\n'));
+    }
+    return exitCode;
+};
+
+/**
+ * Handles: truffle run verify --status *UUID*
+ * Shows the status of an analysis without fetching its issues.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {Object} config - truffle configuration object.
+ * @param {String} uuid - UUID of the analysis
+ * @returns {Promise} - resolves to the exit status, one of exitCodes
+ */
+const doStatus = async (client, config, uuid) => {
+    const log = config.logger.log;
+    let status;
+    try {
+        status = await client.getStatus(uuid);
+    } catch (err) {
+        log(err);
+        return exitCodes.analysisErrors;
+    }
+
+    const historyFile = history.getHistoryFile(config);
+    const entry = (historyFile && history.findAnalysis(historyFile, uuid)) || {};
+    if (entry.uuid) {
+        recordHistory(config, { uuid, status: status.status });
+    }
+
+    const fields = [
+        ['UUID', uuid],
+        ['Contract', entry.contractName],
+        ['Mode', entry.mode],
+        ['Status', status.status],
+        ['Submitted', status.submittedAt || entry.submittedAt],
+        ['Submitted by', status.submittedBy],
+        ['Queue time', status.queueTime !== undefined ? `${status.queueTime} ms` : undefined],
+        ['Run time', status.runTime !== undefined ? `${status.runTime} ms` : undefined],
+    ];
+    fields
+        .filter(([ , value ]) => value !== undefined && value !== null)
+        .forEach(([ name, value ]) => log(`${(name + ':').padEnd(14)}${value}`));
+    return exitCodes.ok;
+};
+
+/**
+ * Asks a question on the terminal.
+ *
+ * @param {String} question
+ * @param {boolean} hidden - true to not echo the answer, e.g. for a password
+ * @returns {Promise} - resolves to the answer
+ */
+const askQuestion = (question, hidden = false) => new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    let muted = false;
+    // readline echoes through this; once the question is out, stay quiet.
+    rl._writeToOutput = text => {
+        if (!muted) {
+            rl.output.write(text);
+        }
+    };
+    rl.question(question, answer => {
+        rl.close();
+        if (hidden) {
+            rl.output.write('\n');
+        }
+        resolve(answer.trim());
+    });
+    muted = hidden;
+});
+
+/**
+ * Handles: truffle run verify --login
+ * Asks for MythX credentials, checks them with MythX and saves them for
+ * later runs.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @param {Function} ask - asks a question, see askQuestion()
+ * @returns {Promise} - resolves to the exit status, one of exitCodes
+ */
+const doLogin = async (config, ask = askQuestion) => {
+    const log = config.logger.log;
+    const creds = {};
+    creds.apiKey = await ask('MythX API key (leave empty to log in with an email or Ethereum address): ', true);
+    if (!creds.apiKey) {
+        const id = await ask('Email or Ethereum address: ');
+        creds[/^0x[0-9a-fA-F]{40}$/.test(id) ? 'ethAddress' : 'email'] = id;
+        creds.password = await ask('Password: ', true);
+    }
+
+    const { armletOptions, identity } = credentials.resolveCredentials({}, creds);
+    try {
+        await new armlet.Client(armletOptions).listAnalyses();
+    } catch (err) {
+        log(`Login failed: ${err.message || err}`);
+        return exitCodes.analysisErrors;
+    }
+
+    const store = credentials.getStore();
+    credentials.saveCredentials(store, armletOptions);
+    log(`Logged in as ${identity}. Credentials saved in ${store.path}, readable only by you.`);
+    if (process.env.MYTHX_API_KEY || process.env.MYTHX_PASSWORD) {
+        log('Note: MYTHX_* environment variables are set, and take precedence over saved credentials.');
+    }
+    return exitCodes.ok;
+};
+
+/**
+ * Handles: truffle run verify --logout
+ *
+ * @param {Object} config - truffle configuration object.
+ * @returns {integer} - the exit status, one of exitCodes
+ */
+const doLogout = config => {
+    if (credentials.clearCredentials(credentials.getStore())) {
+        config.logger.log('Removed saved MythX credentials.');
+    } else {
+        config.logger.log('No MythX credentials were saved.');
+    }
+    return exitCodes.ok;
+};
+
+/**
+ * Handles: truffle run verify --whoami
+ * Shows which MythX identity analyses run as, the settings that limit
+ * them, and whether MythX accepts the credentials.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @param {Object} resolved - credentials in effect, from credentials.resolveCredentials()
+ * @returns {Promise} - resolves to the exit status, one of exitCodes
+ */
+const doWhoami = async (config, resolved) => {
+    const log = config.logger.log;
+    const { armletOptions, source, identity } = resolved;
+    const sources = {
+        environment: 'MYTHX_* environment variables',
+        login: `saved by --login in ${credentials.getStore().path}`,
+        trial: 'none, using the trial account',
+    };
+    const mode = config.mode || 'quick';
+    log(`Identity:     ${identity}`);
+    log(`Credentials:  ${sources[source]}`);
+    log(`Analyses:     ${mode} mode, ${config.timeout || defaultTimeouts[mode]} second timeout, ` +
+        `up to ${config.limit || defaultAnalyzeRateLimit} at a time`);
+    if (source === 'trial') {
+        log(trialWarning);
+    }
+
+    try {
+        await new armlet.Client(armletOptions).listAnalyses();
+    } catch (err) {
+        log(`MythX rejected these credentials: ${err.message || err}`);
+        return exitCodes.analysisErrors;
+    }
+    log('MythX accepts these credentials.');
+    return exitCodes.ok;
+};
+
+/**
+ * Lists the issues of a --uuid analysis whose build artifacts were not
+ * found. Without them we can't map locations to lines, so give the raw
+ * source maps.
+ *
+ * @param {Function} logger - where to print the listing
+ * @param {Array<Object>} results - MythX analyze API output result issues
+ */
+function listIssues(logger, results) {
+    const groups = (results || []).filter(({ issues }) => issues && issues.length > 0);
+    if (groups.length === 0) {
         logger('No issues found');
         return;
     }
-    for (const group of results) {
-        logger(group.sourceList.join(', '));
+    const indent = ' '.repeat(11);
+    for (const group of groups) {
+        logger((group.sourceList || []).join(', '));
         for (const issue of group.issues) {
-            logger(yaml.safeDump(issue));
+            const { head, tail } = issue.description || {};
+            // Some bytecode findings come without an SWC ID.
+            logger(`  ${(issue.swcID || '-').padEnd(8)} ${(issue.severity || '-').padEnd(7)} ${issue.swcTitle || ''}`);
+            [head, tail]
+                .filter(text => text)
+                .forEach(text => logger(`${indent}${text}`));
+            const sourceMaps = (issue.locations || []).map(({ sourceMap }) => sourceMap);
+            logger(`${indent}source map: ${sourceMaps.join(', ') || 'none'}`);
         }
+        logger('');
     }
 }
 
-const getNotFoundContracts = (mythXIssuesObjects, contracts) => {
+/**
+ * The issues of MythX results, shaped like ESLint issues enough for
+ * getExitCode().
+ *
+ * @param {Array<Object>} results - MythX analyze API output result issues
+ * @returns {ESLintIssue[]}
+ */
+const results2SeverityIssues = results => (results || []).map(({ issues }) => ({
+    messages: (issues || []).map(({ severity }) => ({ mythXseverity: severity })),
+}));
+
+/**
+ * Finds the build artifact of the contract analyzed in a --uuid job and
+ * loads the results into it. The contract is the one named on the
+ * command line, the one cached with that UUID, or else the only contract
+ * in the analyzed sources.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @param {String} uuid - UUID of the analysis
+ * @param {Array<Object>} results - MythX analyze API output result issues
+ * @param {Array<String>} contractNames - contract names given on the command line
+ * @returns {Promise} - resolves to a MythXIssues, or null when the build
+ *                      artifact is not found.
+ */
+const uuid2MythXIssues = async (config, uuid, results, contractNames) => {
+    let jsonFiles;
+    try {
+        jsonFiles = await getAllBuildJsonFiles(config);
+    } catch (err) {
+        return null;
+    }
+    const buildObjs = await parseBuildJsonFiles(config, jsonFiles || []);
+
+    const cacheDirectory = cache.getCacheDirectory(config);
+    const cached = cacheDirectory && cache.findCachedAnalysis(cacheDirectory, uuid);
+    const contractName = (contractNames && contractNames[0]) || (cached && cached.contractName);
+
+    let buildObj;
+    if (contractName) {
+        buildObj = buildObjs.find(obj => trufstuf.matchesContract(obj, contractName, getWorkingDirectory(config)));
+    } else {
+        const sourceNames = (results || [])
+            .map(({ sourceList }) => sourceList || [])
+            .reduce((acc, curr) => acc.concat(curr), [])
+            .map(source => path.basename(source));
+        const candidates = buildObjs.filter(({ sourcePath, deployedBytecode }) =>
+            sourcePath && sourceNames.includes(path.basename(sourcePath)) &&
+                deployedBytecode && deployedBytecode !== '0x');
+        buildObj = candidates.length === 1 ? candidates[0] : undefined;
+    }
+    if (!buildObj) {
+        return null;
+    }
+
+    const obj = new MythXIssues(buildObj, buildObjs, config);
+    obj.uuid = uuid;
+    obj.mode = cached ? cached.mode : null;
+    obj.setIssues(results || []);
+    return obj;
+};
+
+/**
+ * The contract selectors that match none of the contracts found.
+ *
+ * @param {Array<Object>} mythXIssuesObjects - analyzed contracts
+ * @param {Array<String>} contracts - contract selectors
+ * @param {String} workingDirectory - the project directory
+ * @param {Array<Object>} buildObjs - build objects of the other contracts
+ *        found, e.g. those that timed out or were not analyzed (*Optional*)
+ * @returns {Array<String>}
+ */
+const getNotFoundContracts = (mythXIssuesObjects, contracts, workingDirectory = process.cwd(), buildObjs = []) => {
     if (!contracts || contracts.length === 0) {
         return [];
     }
-    const mythxContracts = mythXIssuesObjects.map(({ contractName }) => contractName);
-    return contracts.filter(c => !mythxContracts.includes(c));
+    const found = mythXIssuesObjects.concat(buildObjs)
+        .map(({ contractName, sourcePath }) => ({ contractName, sourcePath }));
+    return trufstuf.unmatchedSelectors(found, contracts, workingDirectory);
 }
 
+/**
+ * Says which contract selectors match no contract, with the contracts
+ * each was probably meant to be.
+ *
+ * @param {Array<String>} selectors - selectors that matched nothing
+ * @param {Array<Object>} buildObjs - contractName and sourcePath of every contract
+ * @param {String} workingDirectory - the project directory
+ * @returns {String}
+ */
+const describeNotFound = (selectors, buildObjs, workingDirectory) => {
+    const sourceFile = ({ sourcePath }, relative) => relative ?
+        path.relative(workingDirectory, sourcePath) : path.basename(sourcePath);
+    const withSource = buildObjs.filter(({ sourcePath }) => sourcePath);
+    const lines = selectors.map(selector => {
+        const colon = selector.lastIndexOf(':');
+        let candidates;
+        if (colon > 1) {
+            // Suggest qualified names in the form given.
+            const relative = /[\\/]/.test(selector.slice(0, colon));
+            candidates = withSource.map(buildObj => `${sourceFile(buildObj, relative)}:${buildObj.contractName}`);
+        } else if (trufstuf.isPathSelector(selector)) {
+            candidates = withSource.map(buildObj => sourceFile(buildObj, /[\\/]/.test(selector)));
+        } else {
+            candidates = buildObjs.map(({ contractName }) => contractName);
+        }
+        const near = options.nearMisses(selector, Array.from(new Set(candidates))).slice(0, 3);
+        return near.length > 0 ? `  ${selector}: did you mean ${near.join(', ')}?` : `  ${selector}`;
+    });
+    return ['These smart contracts were not found:'].concat(lines, [
+        'Give contract names (Token), qualified names (contracts/Token.sol:Token) ' +
+            'or paths or globs of source files (contracts/token/**/*.sol).',
+    ]).join('\n');
+};
+
 /**
  *
  * @param {Object} config - truffle configuration object.
+ * @returns {Promise} - resolves to the exit status of the command, one of exitCodes.
  */
 async function analyze(config) {
+    try {
+        options.applyOptions(config);
+    } catch (err) {
+        config.logger.log(err.message);
+        return exitCodes.analysisErrors;
+    }
+
     const limit = config.limit || defaultAnalyzeRateLimit;
     const log = config.logger.log;
     if (isNaN(limit)) {
         log(`limit parameter should be a number; got ${limit}.`);
-        return;
+        return exitCodes.analysisErrors;
     }
     if (limit < 0 || limit > defaultAnalyzeRateLimit) {
         log(`limit should be between 0 and ${defaultAnalyzeRateLimit}; got ${limit}.`);
-        return;
+        return exitCodes.analysisErrors;
+    }
+    const retries = config.retries;
+    if (retries !== undefined && !(Number.isInteger(retries) && retries >= 0)) {
+        log(`retries should be a whole number, 0 or more; got ${retries}.`);
+        return exitCodes.analysisErrors;
     }
-    const armletOptions = {
+    if (config.mode !== undefined && !(config.mode in defaultTimeouts)) {
+        log(`mode should be one of ${Object.keys(defaultTimeouts).join(', ')}; got ${config.mode}.`);
+        return exitCodes.analysisErrors;
+    }
+    const failOn = config['fail-on'];
+    if (failOn !== undefined && !(failOn in failOnSeverities)) {
+        log(`fail-on should be one of ${Object.keys(failOnSeverities).join(', ')}; got ${failOn}.`);
+        return exitCodes.analysisErrors;
+    }
+    // Read the baseline before analyzing, so a bad path fails fast.
+    let baselineObj = null;
+    if (config.baseline) {
+        try {
+            baselineObj = baseline.readBaseline(config.baseline);
+        } catch (err) {
+            log(err.message);
+            return exitCodes.analysisErrors;
+        }
+    }
+
+    if (config.login) {
+        return doLogin(config);
+    }
+    if (config.logout) {
+        return doLogout(config);
+    }
+
+    // Credentials from the environment take precedence over saved ones.
+    const resolved = credentials.resolveCredentials(process.env, credentials.getStore().all);
+    if (config.whoami) {
+        return doWhoami(config, resolved);
+    }
+    if (resolved.source === 'trial') {
+        log(trialWarning);
+    }
+    // Cached results are only reused for the account they were found with.
+    config.mythxAccount = resolved.identity;
+
+    const armletOptions = Object.assign({
         // set up for client tool usage tracking under the name 'truffle'
         clientToolName: 'truffle'
-    };
+    }, resolved.armletOptions);
 
-    if (process.env.MYTHX_API_KEY) {
-        armletOptions.apiKey = process.env.MYTHX_API_KEY;
-    } else {
-        armletOptions.password = process.env.MYTHX_PASSWORD;
+    const client = new armlet.Client(armletOptions);
 
-        if (process.env.MYTHX_ETH_ADDRESS) {
-            armletOptions.ethAddress = process.env.MYTHX_ETH_ADDRESS;
-        } else if (process.env.MYTHX_EMAIL) {
-            armletOptions.email = process.env.MYTHX_EMAIL;
-        }
+    if (!config.style) {
+        config.style = config.context !== undefined ? 'codeframe' : 'stylish';
     }
 
-    const client = new armlet.Client(armletOptions);
+    // Extract list of contracts passed in cli to verify,
+    // or else listed in the options file.
+    let contractNames = config._.length > 1 ? config._.slice(1, config._.length) : null;
+    if (!contractNames && config.contracts) {
+        contractNames = [].concat(config.contracts);
+    }
+
+    if (config.list) {
+        return doList(client, config);
+    }
+    if (config.status) {
+        return doStatus(client, config, config.status);
+    }
 
+    let objects, errors;
+    // Outcome of each contract's analysis, and the analyses we stopped waiting for.
+    let outcomes = [], timeouts = [];
+    // Contracts left out because their build artifacts are out of date.
+    let skippedContracts = [];
+    // Every contract the selectors were checked against before analysis.
+    let buildObjs = [];
     if (config.uuid) {
+        let results;
         try {
-            const results = await client.getIssues(config.uuid);
-            ghettoReport(log, results);
+            results = await client.getIssues(config.uuid);
         } catch (err) {
             log(err);
+            return exitCodes.analysisErrors;
+        }
+        const obj = await uuid2MythXIssues(config, config.uuid, results,
+                                           config._.length > 1 ? contractNames : null);
+        if (!obj) {
+            log(`Build artifacts of analysis ${config.uuid} were not found, so issue ` +
+                'locations are not mapped to source lines. Give the contract name ' +
+                'after --uuid to pick its artifact.');
+            listIssues(log, results);
+            return getExitCode(failOn, results2SeverityIssues(results), []);
+        }
+        objects = [ obj ];
+        errors = [];
+        contractNames = null;
+    } else if (config.collect) {
+        // Map results back through the artifacts the contracts were
+        // submitted with, so don't compile again.
+        let manifestObj;
+        try {
+            manifestObj = manifest.readManifest(config.collect);
+        } catch (err) {
+            log(err.message);
+            return exitCodes.analysisErrors;
+        }
+        contractNames = null;
+        let jsonFiles;
+        try {
+            jsonFiles = await getAllBuildJsonFiles(config);
+        } catch (err) {
+            log(`Cannot read the build artifacts in ${config.contracts_build_directory}: ${err.message}`);
+            return exitCodes.analysisErrors;
+        }
+        ({ objects, errors, outcomes, timeouts } = await doCollect(client, config, manifestObj, jsonFiles, limit));
+    } else {
+        if (config['clear-cache'] && cache.getCacheDirectory(config)) {
+            const removed = cache.clearCache(cache.getCacheDirectory(config));
+            log(`Removed ${removed} cached result${removed === 1 ? '' : 's'}`);
         }
-        return ;
-    }
-
-    await contractsCompile(config);
-
 
-    // Extract list of contracts passed in cli to verify
-    const contractNames = config._.length > 1 ? config._.slice(1, config._.length) : null;
+        if (config.recompile) {
+            config.all = true;
+        }
+        await prepareVyper(config);
+        await contractsCompile(config);
+
+        // Get list of smart contract build json files from truffle build folder
+        const { files: jsonFiles, skipped } = await trufstuf.scanTruffleBuildJsonFiles(
+            config.contracts_build_directory, config.contracts_directory);
+        if (contractNames) {
+            buildObjs = (await parseBuildJsonFiles(config, jsonFiles)).concat(skipped);
+            const unmatched = trufstuf.unmatchedSelectors(buildObjs, contractNames, getWorkingDirectory(config));
+            if (unmatched.length > 0) {
+                log(describeNotFound(unmatched, buildObjs, getWorkingDirectory(config)));
+                return exitCodes.analysisErrors;
+            }
+        }
+        skippedContracts = skipped.filter(buildObj => isContractSelected(buildObj, config, contractNames));
+        if (skippedContracts.length > 0) {
+            log(describeSkipped(skippedContracts));
+        }
 
-    // Get list of smart contract build json files from truffle build folder
-    const jsonFiles = await trufstuf.getTruffleBuildJsonFiles(config.contracts_build_directory);
+        if (config['submit-only']) {
+            const submitted = await doSubmit(client, config, jsonFiles, contractNames, limit);
+            const manifestFile = config.manifest || manifest.defaultManifestFile;
+            try {
+                manifest.writeManifest(manifestFile, config.mode || 'quick', submitted.analyses);
+            } catch (err) {
+                // The UUIDs were logged as the contracts were submitted.
+                log(`Cannot write manifest ${manifestFile}: ${err.message}`);
+                return exitCodes.analysisErrors;
+            }
+            log(`Wrote manifest of ${submitted.analyses.length} analyses to ${manifestFile}. ` +
+                `Run "truffle run verify --collect ${manifestFile}" for the report.`);
+            submitted.errors.forEach(err => config.logger.error(err.error || err));
+            return submitted.errors.length > 0 ? exitCodes.analysisErrors : exitCodes.ok;
+        }
 
-    if (!config.style) {
-        config.style = 'stylish';
+        ({ objects, errors, outcomes, timeouts } = await doAnalysis(client, config, jsonFiles, contractNames, limit));
+        outcomes = (outcomes || []).concat(skippedContracts.map(({ contractName, reason }) =>
+            ({ contractName, outcome: 'skipped-stale', detail: reason })));
     }
-
-    const { objects, errors } = await doAnalysis(client, config, jsonFiles, contractNames, limit);
-    const notFoundContracts = getNotFoundContracts(objects, contractNames);
-    doReport(config, objects, errors, notFoundContracts);
+    // Files that could not be written; the run goes on to report what it can.
+    const writeErrors = [];
+    if (config['baseline-write']) {
+        try {
+            const count = baseline.writeBaseline(config['baseline-write'], objects);
+            log(`Wrote baseline of ${pluralIssues(count)} to ${config['baseline-write']}`);
+        } catch (err) {
+            log(`Could not write baseline to ${config['baseline-write']}: ${err.message}`);
+            writeErrors.push(err);
+        }
+    }
+    if (baselineObj) {
+        objects.forEach(obj => obj.setBaseline(baselineObj));
+    }
+    // Skipped contracts were found, and are reported as such.
+    const notFoundContracts = getNotFoundContracts(objects, contractNames, getWorkingDirectory(config), buildObjs)
+        .filter(name => !skippedContracts.some(({ contractName }) => contractName === name));
+    const reported = doReport(config, objects, errors, notFoundContracts, writeErrors) || [];
+    if (outcomes && outcomes.length > 0) {
+        log(formatOutcomes(outcomes).join('\n'));
+    }
+    // An analysis that timed out is not complete either, nor is a run
+    // whose reports could not all be written.
+    const incomplete = (timeouts || []).concat(writeErrors);
+    return getExitCode(failOn, reported, incomplete.length > 0 ? errors.concat(incomplete) : errors);
 }
 
 
@@ -456,7 +1693,6 @@ function compareMessLCRange(mess1, mess2) {
  * @returns {ESListIssue[]}
  */
 const groupEslintIssuesByBasename = issues => {
-    const path = require('path');
     const mappedIssues = issues.reduce((accum, issue) => {
         const {
             errorCount,
@@ -507,4 +1743,8 @@ module.exports = {
     doAnalysis,
     cleanAnalyDataEmptyProps,
     getNotFoundContracts,
+    getExitCode,
+    getReportTargets,
+    summarizeIssues,
+    exitCodes,
 };
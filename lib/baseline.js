@@ -0,0 +1,145 @@
+// Baseline files record the issues known at some point so that later
+// runs report only new or changed ones. An issue is identified by its
+// contract, SWC ID and a fingerprint of the source text at its location,
+// so it still matches when code above it moves it to another line.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const baselineVersion = 1;
+
+/**
+ * The source text an ESLint message points at, with whitespace collapsed.
+ *
+ * @param {object} message - ESLint message with line, column, endLine and endCol
+ * @param {String} source - text of the source the message is in
+ * @returns {String} - empty when the message has no location
+ */
+const sourceSnippet = (message, source) => {
+    const { line, column, endLine, endCol } = message;
+    if (!source || !(line > 0)) {
+        return '';
+    }
+    const hasEnd = endLine > line || (endLine === line && endCol > column);
+    const text = source.split('\n').slice(line - 1, hasEnd ? endLine : line);
+    if (text.length === 0) {
+        return '';
+    }
+    // Cut the end first: on a single line, endCol counts from the line start.
+    if (hasEnd) {
+        text[text.length - 1] = text[text.length - 1].slice(0, endCol);
+    }
+    text[0] = text[0].slice(column);
+    return text.join('\n').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * A fingerprint of an issue that does not depend on its line number.
+ *
+ * @param {object} message - ESLint message
+ * @param {String} source - text of the source the message is in
+ * @returns {String}
+ */
+const fingerprint = (message, source) => crypto
+    .createHash('sha1')
+    .update(`${message.ruleId}\n${sourceSnippet(message, source)}`)
+    .digest('hex');
+
+/**
+ * The key under which a baseline entry is matched.
+ *
+ * @param {object} entry - contract, swcID and fingerprint
+ * @returns {String}
+ */
+const entryKey = ({ contract, swcID, fingerprint }) => `${contract}|${swcID}|${fingerprint}`;
+
+/**
+ * Records the issues that analyzed contracts currently report.
+ *
+ * @param {Array<MythXIssues>} objects - analyzed contracts
+ * @returns {object} - the baseline, ready to be saved as JSON
+ */
+const makeBaseline = objects => {
+    const issues = [];
+    objects.forEach(obj => {
+        obj.getEslintIssues(true).forEach(({ filePath, messages }) => {
+            const source = obj.buildObj.sources[obj.sourceKey(filePath)];
+            messages.forEach(message => {
+                issues.push({
+                    contract: obj.contractName,
+                    swcID: message.ruleId,
+                    fingerprint: fingerprint(message, source && source.source),
+                    // Only to help people reading the file.
+                    file: path.basename(filePath),
+                    line: message.line,
+                    message: message.message,
+                });
+            });
+        });
+    });
+    return { version: baselineVersion, issues };
+};
+
+/**
+ * Writes the baseline of analyzed contracts to a file.
+ *
+ * @param {String} file - path of the baseline file
+ * @param {Array<MythXIssues>} objects - analyzed contracts
+ * @returns {integer} - the number of issues recorded
+ */
+const writeBaseline = (file, objects) => {
+    const baseline = makeBaseline(objects);
+    fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + '\n');
+    return baseline.issues.length;
+};
+
+/**
+ * Reads a baseline file.
+ *
+ * @param {String} file - path of the baseline file
+ * @returns {object} - the baseline
+ * @throws {Error} - when the file can't be read or isn't a baseline
+ */
+const readBaseline = file => {
+    let baseline;
+    try {
+        baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read baseline file ${file}: ${err.message}`);
+    }
+    if (!baseline || baseline.version !== baselineVersion || !Array.isArray(baseline.issues)) {
+        throw new Error(`${file} is not a baseline file written by --baseline-write.`);
+    }
+    return baseline;
+};
+
+/**
+ * Counts the baseline issues of a contract by key. An issue that occurs
+ * twice in the baseline hides at most two matching issues.
+ *
+ * @param {object} baseline - as returned by readBaseline
+ * @param {String} contractName
+ * @returns {object} - number of issues by key
+ */
+const countBaselineIssues = (baseline, contractName) => {
+    const counts = {};
+    baseline.issues
+        .filter(({ contract }) => contract === contractName)
+        .forEach(entry => {
+            const key = entryKey(entry);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+    return counts;
+};
+
+module.exports = {
+    countBaselineIssues,
+    entryKey,
+    fingerprint,
+    makeBaseline,
+    readBaseline,
+    sourceSnippet,
+    writeBaseline,
+};
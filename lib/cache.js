@@ -0,0 +1,118 @@
+// Local cache of MythX analysis results, so that contracts that did not
+// change since their last analysis are not submitted again. Results are
+// kept in the Truffle build directory, one file per analysis, named
+// after a hash of the data submitted.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const trufstuf = require('./trufstuf');
+
+const cacheDirectoryName = 'mythx-cache';
+
+/**
+ * Where analysis results of a Truffle project are cached.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @returns {String|null} - null when the configuration has no build directory
+ */
+const getCacheDirectory = config => {
+    const buildDirectory = trufstuf.getBuildDirectory(config);
+    return buildDirectory ? path.join(buildDirectory, cacheDirectoryName) : null;
+};
+
+/**
+ * The cache key of an analysis: a hash of the data submitted to MythX, of
+ * the analysis mode, so a quick result is never reused for a full analysis,
+ * and of the MythX account, so the limited results of the trial user are
+ * not reused once the user logs in.
+ *
+ * @param {Object} data - analysis data, as cleaned by cleanAnalyDataEmptyProps
+ * @param {String} mode - analysis mode
+ * @param {String} account - who the analysis runs as (*Optional*)
+ * @returns {String}
+ */
+const getCacheKey = (data, mode, account = '') => crypto
+    .createHash('sha256')
+    .update(`${mode}\n${account}\n${JSON.stringify(data)}`)
+    .digest('hex');
+
+const cacheFile = (directory, key) => path.join(directory, `${key}.json`);
+
+/**
+ * Reads a cached analysis result.
+ *
+ * @param {String} directory - cache directory
+ * @param {String} key - cache key, from getCacheKey()
+ * @returns {Object|null} - uuid and issues of the analysis, or null
+ *                          when the result is not cached or unreadable
+ */
+const readCache = (directory, key) => {
+    try {
+        const entry = JSON.parse(fs.readFileSync(cacheFile(directory, key), 'utf8'));
+        return Array.isArray(entry.issues) ? entry : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Caches the result of an analysis.
+ *
+ * @param {String} directory - cache directory, created if needed
+ * @param {String} key - cache key, from getCacheKey()
+ * @param {Object} entry - contractName, mode, uuid and issues of the analysis
+ */
+const writeCache = (directory, key, entry) => {
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory);
+    }
+    const cached = Object.assign({ savedAt: new Date().toISOString() }, entry);
+    fs.writeFileSync(cacheFile(directory, key), JSON.stringify(cached));
+};
+
+/**
+ * Finds the cached result of an analysis by its UUID.
+ *
+ * @param {String} directory - cache directory
+ * @param {String} uuid - UUID of the analysis
+ * @returns {Object|null} - the cached result, or null
+ */
+const findCachedAnalysis = (directory, uuid) => {
+    if (!fs.existsSync(directory)) {
+        return null;
+    }
+    for (const file of fs.readdirSync(directory).filter(file => file.endsWith('.json'))) {
+        const entry = readCache(directory, path.basename(file, '.json'));
+        if (entry && entry.uuid === uuid) {
+            return entry;
+        }
+    }
+    return null;
+};
+
+/**
+ * Removes every cached analysis result.
+ *
+ * @param {String} directory - cache directory
+ * @returns {integer} - the number of results removed
+ */
+const clearCache = directory => {
+    if (!fs.existsSync(directory)) {
+        return 0;
+    }
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.json'));
+    files.forEach(file => fs.unlinkSync(path.join(directory, file)));
+    return files.length;
+};
+
+module.exports = {
+    cacheDirectoryName,
+    clearCache,
+    findCachedAnalysis,
+    getCacheDirectory,
+    getCacheKey,
+    readCache,
+    writeCache,
+};
@@ -0,0 +1,105 @@
+// MythX credentials. They come from the environment (MYTHX_API_KEY, or
+// MYTHX_PASSWORD with MYTHX_EMAIL or MYTHX_ETH_ADDRESS), or else from
+// those saved by "truffle run verify --login". Without either, analyses
+// run as the MythX trial user.
+'use strict';
+
+const fs = require('fs');
+const Configstore = require('configstore');
+
+const storeName = 'truffle-security';
+
+// Only the user may read or write saved credentials.
+const storeMode = 0o600;
+
+/**
+ * The store of credentials saved by --login, in the user's
+ * configuration directory.
+ *
+ * @returns {Configstore}
+ */
+const getStore = () => new Configstore(storeName);
+
+/**
+ * Picks the credentials fields that armlet.Client accepts.
+ *
+ * @param {Object} creds
+ * @returns {Object} - apiKey, or password with email or ethAddress
+ */
+const pickCredentials = ({ apiKey, password, email, ethAddress }) => {
+    if (apiKey) {
+        return { apiKey };
+    }
+    if (!password) {
+        return {};
+    }
+    return ethAddress ? { password, ethAddress } : email ? { password, email } : { password };
+};
+
+/**
+ * Saves credentials for later runs.
+ *
+ * @param {Configstore} store
+ * @param {Object} creds - apiKey, or password with email or ethAddress
+ */
+const saveCredentials = (store, creds) => {
+    store.all = pickCredentials(creds);
+    // The store already writes files this way; make sure of it for files
+    // that existed before.
+    fs.chmodSync(store.path, storeMode);
+};
+
+/**
+ * Removes saved credentials.
+ *
+ * @param {Configstore} store
+ * @returns {boolean} - true if there were saved credentials
+ */
+const clearCredentials = store => {
+    if (!fs.existsSync(store.path)) {
+        return false;
+    }
+    const hadCredentials = Object.keys(pickCredentials(store.all)).length > 0;
+    fs.unlinkSync(store.path);
+    return hadCredentials;
+};
+
+/**
+ * Works out which MythX credentials are in effect.
+ *
+ * @param {Object} env - environment variables, e.g. process.env
+ * @param {Object} saved - credentials saved by --login
+ * @returns {Object} - armletOptions: credentials for armlet.Client;
+ *                     source: 'environment', 'login' or 'trial';
+ *                     identity: who the credentials are for, for messages
+ */
+const resolveCredentials = (env, saved = {}) => {
+    const fromEnv = pickCredentials({
+        apiKey: env.MYTHX_API_KEY,
+        password: env.MYTHX_PASSWORD,
+        email: env.MYTHX_EMAIL,
+        ethAddress: env.MYTHX_ETH_ADDRESS,
+    });
+    const fromLogin = pickCredentials(saved);
+
+    let armletOptions, source;
+    if (Object.keys(fromEnv).length > 0) {
+        [armletOptions, source] = [fromEnv, 'environment'];
+    } else if (Object.keys(fromLogin).length > 0) {
+        [armletOptions, source] = [fromLogin, 'login'];
+    } else {
+        [armletOptions, source] = [{}, 'trial'];
+    }
+
+    const identity = armletOptions.apiKey ? `API key ending in ${armletOptions.apiKey.slice(-4)}` :
+        armletOptions.email || armletOptions.ethAddress || 'MythX trial user';
+    return { armletOptions, source, identity };
+};
+
+module.exports = {
+    clearCredentials,
+    getStore,
+    resolveCredentials,
+    saveCredentials,
+    storeMode,
+};
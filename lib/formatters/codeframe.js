@@ -0,0 +1,149 @@
+// A report that shows each issue in its source: the lines around it,
+// with the span of the issue underlined, its SWC title and its full
+// description.
+'use strict';
+
+const path = require('path');
+
+// Lines of source shown before and after the issue, unless --context says otherwise.
+const defaultContext = 2;
+
+/**
+ * Finds the text and line breaks of a source among the analyzed contracts.
+ *
+ * @param {Array<MythXIssues>} objects - analyzed contracts
+ * @param {string} filePath - file of the issues
+ * @returns {Object|null} - source and lineBreaks, as computed by
+ *                          MythXIssues.mapLineBreakPositions
+ */
+const findSource = (objects, filePath) => {
+    for (const obj of objects) {
+        const sourceName = obj.sourceKey(filePath);
+        const sourceInfo = obj.buildObj.sources[sourceName];
+        if (sourceInfo && sourceInfo.source) {
+            return {
+                source: sourceInfo.source,
+                lineBreaks: obj.lineBreakPositions[sourceName],
+            };
+        }
+    }
+    return null;
+};
+
+/**
+ * The text of a line, from the line breaks of its source.
+ *
+ * @param {Object} param - source and lineBreaks, from findSource()
+ * @param {integer} line - line number, starting at 1
+ * @returns {string}
+ */
+const lineText = ({ source, lineBreaks }, line) => {
+    const start = line === 1 ? 0 : lineBreaks[line - 2] + 1;
+    const end = line - 1 < lineBreaks.length ? lineBreaks[line - 1] : source.length;
+    return source.slice(start, end).replace(/\r$/, '');
+};
+
+/**
+ * Formats the lines around an issue, marking those the issue spans and
+ * underlining the span itself.
+ *
+ * @param {Object} sourceInfo - source and lineBreaks, from findSource()
+ * @param {Object} message - ESLint message with line, column, endLine and endCol
+ * @param {integer} context - lines shown before and after the issue
+ * @returns {Array<string>}
+ */
+const codeFrame = (sourceInfo, message, context) => {
+    const lastLine = sourceInfo.lineBreaks.length + 1;
+    const endLine = Math.min(Math.max(message.endLine, message.line), lastLine);
+    const first = Math.max(1, message.line - context);
+    const last = Math.min(lastLine, endLine + context);
+    const width = String(last).length;
+
+    const frame = [];
+    for (let line = first; line <= last; line++) {
+        const text = lineText(sourceInfo, line);
+        const inSpan = line >= message.line && line <= endLine;
+        frame.push(`${inSpan ? '>' : ' '} ${String(line).padStart(width)} | ${text}`.replace(/\s+$/, ''));
+        // Blank lines inside a span have nothing to underline.
+        if (inSpan && (line === message.line || text.trim())) {
+            const from = line === message.line ? message.column : text.search(/\S|$/);
+            const to = line === endLine && message.endLine >= message.line ? message.endCol : text.length;
+            const carets = '^'.repeat(Math.max(1, to - from));
+            frame.push(`  ${' '.repeat(width)} | ${' '.repeat(from)}${carets}`);
+        }
+    }
+    return frame;
+};
+
+/**
+ * Formats a related location of an issue.
+ *
+ * @param {Object} related - an entry of an ESLint message's relatedLocations
+ * @param {string} filePath - file of the issue
+ * @returns {string}
+ */
+const formatRelated = (related, filePath) => {
+    const where = related.locationUnknown ? `unknown location (${related.sourceMap})` :
+        `${related.line}:${related.column}`;
+    const file = related.filePath && related.filePath !== filePath ? ` in ${path.basename(related.filePath)}` : '';
+    return `  related location${file}: ${where}`;
+};
+
+/**
+ * Collects the SWC titles of the issues found.
+ *
+ * @param {Array<MythXIssues>} objects - analyzed contracts
+ * @returns {Object} - titles by SWC ID
+ */
+const swcTitles = objects => {
+    const titles = {};
+    objects.forEach(obj => obj.issues.forEach(report => report.issues.forEach(({ swcID, swcTitle }) => {
+        if (swcID && swcTitle) {
+            titles[swcID] = swcTitle;
+        }
+    })));
+    return titles;
+};
+
+/**
+ * @param {ESLintIssue[]} results - ESLint results, grouped by file
+ * @param {Object} data - data.objects holds the analyzed MythXIssues objects;
+ *                        data.context the lines of source shown around an issue
+ * @returns {string} - the report text
+ */
+module.exports = (results, data) => {
+    const objects = (data && data.objects) || [];
+    const context = data && data.context >= 0 ? data.context : defaultContext;
+    const titles = swcTitles(objects);
+
+    const output = [];
+    let errors = 0, warnings = 0;
+    results.filter(({ messages }) => messages.length > 0).forEach(({ filePath, messages }) => {
+        const sourceInfo = findSource(objects, filePath);
+        output.push('', filePath);
+        messages.forEach(message => {
+            const title = titles[message.ruleId] ? ` ${titles[message.ruleId]}` : '';
+            const severity = message.mythXseverity || (message.severity === 2 ? 'error' : 'warning');
+            const where = message.locationUnknown ? 'unknown location' : `${message.line}:${message.column}`;
+            output.push('', `${where}  ${severity}  ${message.ruleId}${title}`);
+            output.push(...message.message.split('\n').map(text => `  ${text}`));
+            if (sourceInfo && !message.locationUnknown) {
+                output.push(...codeFrame(sourceInfo, message, context));
+            }
+            (message.relatedLocations || []).forEach(related => output.push(formatRelated(related, filePath)));
+            if (message.severity === 2) {
+                errors++;
+            } else {
+                warnings++;
+            }
+        });
+    });
+
+    const total = errors + warnings;
+    if (total === 0) {
+        return '';
+    }
+    output.push('', `✖ ${total} problem${total === 1 ? '' : 's'} ` +
+                `(${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'})`, '');
+    return output.join('\n');
+};
@@ -0,0 +1,346 @@
+// A single, self-contained HTML page: a summary of the issues by severity
+// and SWC ID, then a section per analyzed contract with its issues and its
+// highlighted source. Styles are inline and nothing is loaded from
+// elsewhere, so the file can be attached or mailed as it is.
+'use strict';
+
+const path = require('path');
+const { isVyperSource } = require('../vyper');
+
+const swcRegistryURL = 'https://swcregistry.io/docs';
+
+// MythX severities, most severe first.
+const severities = ['High', 'Medium', 'Low'];
+
+const solidityKeywords = [
+    'abstract', 'address', 'anonymous', 'as', 'assembly', 'bool', 'break', 'byte', 'bytes',
+    'calldata', 'catch', 'constant', 'constructor', 'continue', 'contract', 'delete', 'do',
+    'else', 'emit', 'enum', 'event', 'external', 'fallback', 'false', 'for', 'function', 'if',
+    'immutable', 'import', 'indexed', 'interface', 'internal', 'is', 'library', 'mapping',
+    'memory', 'modifier', 'new', 'override', 'payable', 'pragma', 'private', 'public', 'pure',
+    'receive', 'return', 'returns', 'revert', 'storage', 'string', 'struct', 'this', 'throw',
+    'true', 'try', 'using', 'var', 'view', 'virtual', 'while',
+];
+
+const vyperKeywords = [
+    'and', 'assert', 'break', 'constant', 'continue', 'def', 'elif', 'else', 'event', 'False',
+    'for', 'from', 'if', 'import', 'in', 'indexed', 'interface', 'log', 'map', 'nonpayable',
+    'not', 'or', 'pass', 'payable', 'private', 'public', 'pure', 'raise', 'return', 'self',
+    'struct', 'True', 'view', 'address', 'bool', 'bytes32', 'decimal', 'string', 'HashMap',
+];
+
+// Token patterns of each language: comments, strings, numbers and words.
+const solidityTokens = {
+    comment: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)',
+    string: '"(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?',
+    keywords: solidityKeywords,
+};
+const vyperTokens = {
+    comment: '#[^\\n]*',
+    string: '"""[\\s\\S]*?(?:"""|$)|"(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?',
+    keywords: vyperKeywords,
+};
+
+const styles = `
+body { font-family: sans-serif; margin: 2em; color: #222; }
+h1, h2, h3 { font-weight: normal; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.8em; text-align: left; }
+.contract { border-top: 2px solid #888; margin-top: 2em; }
+.meta { color: #555; }
+.issue { margin: 0.8em 0; }
+.issue p { margin: 0.2em 0 0.2em 1.5em; }
+.badge { display: inline-block; min-width: 4.5em; padding: 0.1em 0.4em; border-radius: 3px; color: #fff; text-align: center; }
+.badge.high { background: #c62828; }
+.badge.medium { background: #ef6c00; }
+.badge.low { background: #1565c0; }
+pre { background: #fafafa; border: 1px solid #ddd; padding: 0.5em 0; overflow-x: auto; }
+pre .line { display: block; padding: 0 0.5em; }
+pre .line:target { background: #fff3c4; }
+pre .ln { display: inline-block; min-width: 3em; color: #999; text-align: right; margin-right: 1em; user-select: none; }
+mark.high { background: #ffcdd2; }
+mark.medium { background: #ffe0b2; }
+mark.low { background: #bbdefb; }
+.cm { color: #6a737d; font-style: italic; }
+.st { color: #22863a; }
+.nu { color: #005cc5; }
+.kw { color: #a626a4; font-weight: bold; }
+`;
+
+/**
+ * Escapes text for use in HTML.
+ *
+ * @param {*} text
+ * @returns {string}
+ */
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const swcLink = swcID => swcID ?
+    `<a href="${swcRegistryURL}/${escapeHtml(swcID)}">${escapeHtml(swcID)}</a>` : '';
+
+const severityBadge = severity =>
+    `<span class="badge ${escapeHtml(String(severity).toLowerCase())}">${escapeHtml(severity)}</span>`;
+
+/**
+ * Classifies each character of a source for highlighting.
+ *
+ * @param {string} source
+ * @param {Object} language - solidityTokens or vyperTokens
+ * @returns {Array<string|undefined>} - class of each character
+ */
+const highlightClasses = (source, language) => {
+    const classes = new Array(source.length);
+    const keywords = new Set(language.keywords);
+    const pattern = new RegExp(`(${language.comment})|(${language.string})|` +
+                               '(\\b(?:0x[0-9a-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:e\\d+)?)\\b)|([A-Za-z_$][\\w$]*)', 'g');
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const [ text, comment, string, number, word ] = match;
+        let cls;
+        if (comment) {
+            cls = 'cm';
+        } else if (string) {
+            cls = 'st';
+        } else if (number) {
+            cls = 'nu';
+        } else if (word && (keywords.has(word) || /^(u?int|bytes)\d*$/.test(word))) {
+            cls = 'kw';
+        }
+        if (cls) {
+            classes.fill(cls, match.index, match.index + text.length);
+        }
+    }
+    return classes;
+};
+
+/**
+ * Offset in the source of a line and column.
+ *
+ * @param {Array<integer>} lineBreaks - from MythXIssues.mapLineBreakPositions
+ * @param {integer} line - starting at 1
+ * @param {integer} column - starting at 0
+ * @returns {integer}
+ */
+const lineColumn2Offset = (lineBreaks, line, column) =>
+    (line === 1 ? 0 : lineBreaks[line - 2] + 1) + column;
+
+/**
+ * Renders a source with line numbers, highlighting, and the spans of its
+ * issues marked with the most severe issue covering them.
+ *
+ * @param {string} source
+ * @param {Array<integer>} lineBreaks - from MythXIssues.mapLineBreakPositions
+ * @param {Array<Object>} messages - ESLint messages of issues in this source
+ * @param {string} filePath - file of the source
+ * @param {string} id - prefix of the line anchors
+ * @param {Object} language - solidityTokens or vyperTokens
+ * @returns {string}
+ */
+const renderSource = (source, lineBreaks, messages, filePath, id, language) => {
+    const classes = highlightClasses(source, language);
+
+    // Each issue and its related locations in this source are marked with
+    // the severity of the issue.
+    const spans = [];
+    messages.forEach(message => {
+        spans.push(message);
+        (message.relatedLocations || [])
+            .filter(related => !related.filePath || related.filePath === filePath)
+            .forEach(related => spans.push(Object.assign({}, related, { mythXseverity: message.mythXseverity })));
+    });
+
+    // Lower numbers are more severe; 3 is unmarked.
+    const marks = new Array(source.length).fill(severities.length);
+    spans.filter(({ line, locationUnknown }) => line > 0 && !locationUnknown).forEach(span => {
+        const rank = Math.max(0, severities.indexOf(span.mythXseverity));
+        const start = lineColumn2Offset(lineBreaks, span.line, span.column);
+        const end = span.endLine >= span.line ?
+            lineColumn2Offset(lineBreaks, span.endLine, span.endCol) : start + 1;
+        for (let i = start; i < Math.min(end, source.length); i++) {
+            marks[i] = Math.min(marks[i], rank);
+        }
+    });
+
+    const lines = [];
+    for (let line = 1, start = 0; start <= source.length; line++) {
+        const end = line - 1 < lineBreaks.length ? lineBreaks[line - 1] : source.length;
+        let html = '';
+        for (let i = start; i < end;) {
+            let j = i + 1;
+            while (j < end && classes[j] === classes[i] && marks[j] === marks[i]) {
+                j++;
+            }
+            let text = escapeHtml(source.slice(i, j).replace(/\r$/, ''));
+            if (classes[i]) {
+                text = `<span class="${classes[i]}">${text}</span>`;
+            }
+            if (marks[i] < severities.length) {
+                text = `<mark class="${severities[marks[i]].toLowerCase()}">${text}</mark>`;
+            }
+            html += text;
+            i = j;
+        }
+        lines.push(`<span class="line" id="${id}-L${line}"><span class="ln">${line}</span>${html}</span>`);
+        start = end + 1;
+    }
+    return `<pre>${lines.join('')}</pre>`;
+};
+
+/**
+ * Describes where an issue or a related location is.
+ *
+ * @param {Object} loc - ESLint message or related location
+ * @param {string} id - prefix of the line anchors of its source, if shown
+ * @returns {string}
+ */
+const renderLocation = (loc, id) => {
+    if (loc.locationUnknown || !(loc.line > 0)) {
+        return loc.sourceMap ? `unknown location (${escapeHtml(loc.sourceMap)})` : 'unknown location';
+    }
+    const where = `line ${loc.line}, column ${loc.column}`;
+    return id ? `<a href="#${id}-L${loc.line}">${where}</a>` : where;
+};
+
+/**
+ * Collects the SWC titles of the issues an analysis found.
+ *
+ * @param {MythXIssues} obj - an analyzed contract
+ * @returns {Object} - titles by SWC ID
+ */
+const swcTitles = obj => {
+    const titles = {};
+    obj.issues.forEach(report => report.issues.forEach(({ swcID, swcTitle }) => {
+        if (swcID && swcTitle) {
+            titles[swcID] = swcTitle;
+        }
+    }));
+    return titles;
+};
+
+/**
+ * Renders the section of an analyzed contract.
+ *
+ * @param {Object} contract - obj, its ESLint results and SWC titles
+ * @param {integer} index - position of the contract in the report
+ * @returns {string}
+ */
+const renderContract = ({ obj, results, titles }, index) => {
+    const id = `contract-${index}`;
+    const count = results.reduce((acc, { messages }) => acc + messages.length, 0);
+    const html = [
+        `<section class="contract" id="${id}">`,
+        `<h2>${escapeHtml(obj.contractName)}</h2>`,
+        `<p class="meta">MythX UUID: ${escapeHtml(obj.uuid || 'unknown')}` +
+            ` &middot; analysis mode: ${escapeHtml(obj.mode || 'unknown')}` +
+            ` &middot; ${count} issue${count === 1 ? '' : 's'}</p>`,
+    ];
+    if (count === 0) {
+        html.push('<p>No issues found.</p>');
+    }
+
+    results.filter(({ messages }) => messages.length > 0).forEach(({ filePath, messages }, fileIndex) => {
+        const sourceName = obj.sourceKey(filePath);
+        const sourceInfo = obj.buildObj.sources[sourceName];
+        const lineBreaks = obj.lineBreakPositions[sourceName];
+        const fileId = sourceInfo && sourceInfo.source && lineBreaks ? `${id}-f${fileIndex}` : null;
+
+        html.push(`<h3>${escapeHtml(filePath)}</h3>`);
+        messages.forEach(message => {
+            const title = titles[message.ruleId] ? ` ${escapeHtml(titles[message.ruleId])}` : '';
+            const heading = `${severityBadge(message.mythXseverity)} ${swcLink(message.ruleId)}${title}` +
+                  ` &middot; ${renderLocation(message, fileId)}`;
+            html.push('<div class="issue">', `<div>${heading}</div>`, `<p>${escapeHtml(message.message)}</p>`);
+            (message.relatedLocations || []).forEach(related => {
+                const sameFile = !related.filePath || related.filePath === filePath;
+                const file = sameFile ? '' : ` in ${escapeHtml(path.basename(related.filePath))}`;
+                html.push(`<p>Related location${file}: ${renderLocation(related, sameFile ? fileId : null)}</p>`);
+            });
+            html.push('</div>');
+        });
+        if (fileId) {
+            const language = isVyperSource(sourceName) ? vyperTokens : solidityTokens;
+            html.push(renderSource(sourceInfo.source, lineBreaks, messages, filePath, fileId, language));
+        }
+    });
+
+    html.push('</section>');
+    return html.join('\n');
+};
+
+/**
+ * Renders the counts of issues by severity and by SWC ID.
+ *
+ * @param {Array<Object>} contracts - obj, its ESLint results and SWC titles
+ * @returns {string}
+ */
+const renderSummary = contracts => {
+    const bySeverity = {};
+    const bySWC = {};
+    contracts.forEach(({ results, titles }) => results.forEach(({ messages }) => messages.forEach(message => {
+        bySeverity[message.mythXseverity] = (bySeverity[message.mythXseverity] || 0) + 1;
+        const swc = bySWC[message.ruleId] || { title: titles[message.ruleId] || '', count: 0 };
+        swc.count++;
+        bySWC[message.ruleId] = swc;
+    })));
+
+    const severityRows = severities
+        .concat(Object.keys(bySeverity).filter(severity => !severities.includes(severity)))
+        .map(severity => `<tr><td>${severityBadge(severity)}</td><td>${bySeverity[severity] || 0}</td></tr>`);
+    const swcRows = Object.keys(bySWC).sort()
+        .map(swcID => `<tr><td>${swcLink(swcID)}</td><td>${escapeHtml(bySWC[swcID].title)}</td>` +
+             `<td>${bySWC[swcID].count}</td></tr>`);
+    const contractRows = contracts.map(({ obj, results }, i) => {
+        const count = results.reduce((acc, { messages }) => acc + messages.length, 0);
+        return `<tr><td><a href="#contract-${i}">${escapeHtml(obj.contractName)}</a></td>` +
+            `<td>${escapeHtml(obj.mode || '')}</td><td>${count}</td></tr>`;
+    });
+
+    return [
+        '<h2>Summary</h2>',
+        '<table><tr><th>Severity</th><th>Issues</th></tr>',
+        ...severityRows,
+        '</table>',
+        swcRows.length > 0 ?
+            ['<table><tr><th>SWC ID</th><th>Title</th><th>Issues</th></tr>', ...swcRows, '</table>'].join('\n') : '',
+        '<table><tr><th>Contract</th><th>Mode</th><th>Issues</th></tr>',
+        ...contractRows,
+        '</table>',
+    ].join('\n');
+};
+
+/**
+ * @param {ESLintIssue[]} results - ESLint results, grouped by file. Not used:
+ *                                  the report is laid out per analysis.
+ * @param {Object} data - data.objects holds the analyzed MythXIssues objects
+ * @returns {string} - the HTML page
+ */
+module.exports = (results, data) => {
+    const objects = (data && data.objects) || [];
+    const contracts = objects.map(obj => ({
+        obj,
+        results: obj.getEslintIssues(false),
+        titles: swcTitles(obj),
+    }));
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<title>MythX security report</title>',
+        `<style>${styles}</style>`,
+        '</head>',
+        '<body>',
+        '<h1>MythX security report</h1>',
+        `<p class="meta">Generated ${escapeHtml(new Date().toUTCString())}</p>`,
+        renderSummary(contracts),
+        ...contracts.map(renderContract),
+        '</body>',
+        '</html>',
+        '',
+    ].join('\n');
+};
@@ -0,0 +1,147 @@
+// SARIF 2.1.0 report: one run per MythX analysis.
+// See https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+'use strict';
+
+const path = require('path');
+
+const sarifSchema = 'https://schemastore.azurewebsites.net/schemas/json/sarif-2.1.0-rtm.4.json';
+const swcRegistryURL = 'https://swcregistry.io/docs';
+
+// SARIF has three result levels where ESLint only has two severities.
+const mythx2Level = {
+    High: 'error',
+    Medium: 'warning',
+    Low: 'note',
+};
+
+/**
+ * Turns a file path into a SARIF artifact URI.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+const filePath2Uri = filePath => {
+    const uri = encodeURI(filePath.replace(/\\/g, '/'));
+    return path.isAbsolute(filePath) ? `file://${uri}` : uri;
+};
+
+/**
+ * Turns an ESLint-style location into a SARIF physical location.
+ * ESLint columns start at 0 and SARIF columns at 1. Locations that
+ * could not be mapped to a line have no region.
+ *
+ * @param {string} filePath - file the location is in
+ * @param {Object} loc - line, column, endLine and endCol of the location
+ * @returns {Object}
+ */
+const makeLocation = (filePath, loc) => {
+    const physicalLocation = {
+        artifactLocation: {
+            uri: filePath2Uri(filePath),
+        },
+    };
+    if (loc.line > 0) {
+        physicalLocation.region = {
+            startLine: loc.line,
+            startColumn: loc.column + 1,
+        };
+        if (loc.endLine > 0) {
+            physicalLocation.region.endLine = loc.endLine;
+            physicalLocation.region.endColumn = loc.endCol + 1;
+        }
+    }
+    return { physicalLocation };
+};
+
+/**
+ * Collects the SWC rules of the issues an analysis found.
+ *
+ * @param {MythXIssues} obj - an analyzed contract
+ * @returns {Array<Object>} - SARIF reportingDescriptor objects
+ */
+const makeRules = obj => {
+    const rules = {};
+    obj.issues.forEach(report => {
+        report.issues.forEach(({ swcID, swcTitle }) => {
+            if (swcID && !rules[swcID]) {
+                rules[swcID] = {
+                    id: swcID,
+                    shortDescription: {
+                        text: swcTitle || swcID,
+                    },
+                    helpUri: `${swcRegistryURL}/${swcID}`,
+                };
+            }
+        });
+    });
+    return Object.values(rules);
+};
+
+/**
+ * Turns an analyzed contract into a SARIF run.
+ *
+ * @param {MythXIssues} obj - an analyzed contract
+ * @returns {Object}
+ */
+const makeRun = obj => {
+    const rules = makeRules(obj);
+    const ruleIds = rules.map(({ id }) => id);
+
+    const results = [];
+    obj.getEslintIssues(false).forEach(({ filePath, messages }) => {
+        messages.forEach(message => {
+            const result = {
+                ruleId: message.ruleId,
+                level: mythx2Level[message.mythXseverity] || 'note',
+                message: {
+                    text: message.message,
+                },
+                locations: [ makeLocation(filePath, message) ],
+                properties: {
+                    mythXseverity: message.mythXseverity,
+                },
+            };
+            if (ruleIds.includes(message.ruleId)) {
+                result.ruleIndex = ruleIds.indexOf(message.ruleId);
+            }
+            if (message.relatedLocations) {
+                result.relatedLocations = message.relatedLocations.map((related, i) => {
+                    const location = makeLocation(related.filePath || filePath, related);
+                    return Object.assign({ id: i + 1 }, location);
+                });
+            }
+            results.push(result);
+        });
+    });
+
+    return {
+        tool: {
+            driver: {
+                name: 'MythX',
+                informationUri: 'https://mythx.io',
+                rules,
+            },
+        },
+        results,
+        properties: {
+            contractName: obj.contractName,
+            mythXUUID: obj.uuid,
+            analysisMode: obj.mode,
+        },
+    };
+};
+
+/**
+ * @param {ESLintIssue[]} results - ESLint results, grouped by file. Not used:
+ *                                  SARIF needs them per analysis.
+ * @param {Object} data - data.objects holds the analyzed MythXIssues objects
+ * @returns {string} - the SARIF log as JSON
+ */
+module.exports = (results, data) => {
+    const objects = (data && data.objects) || [];
+    return JSON.stringify({
+        version: '2.1.0',
+        $schema: sarifSchema,
+        runs: objects.map(makeRun),
+    }, null, 2);
+};
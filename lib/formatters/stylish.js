@@ -0,0 +1,54 @@
+// ESLint's "stylish" report, with the related locations of an issue
+// listed as indented lines below it.
+'use strict';
+
+const path = require('path');
+const eslintStylish = require('eslint/lib/formatters/stylish');
+
+/**
+ * Formats a related location relative to the file of the issue it
+ * belongs to: the file is only named when it is a different one.
+ *
+ * @param {Object} related - an entry of an ESLint message's relatedLocations
+ * @param {string} filePath - file of the issue
+ * @returns {string}
+ */
+const formatRelated = (related, filePath) => {
+    const where = related.locationUnknown ? `unknown location (${related.sourceMap})` :
+        `${related.line}:${related.column}`;
+    return related.filePath && related.filePath !== filePath ?
+        `      ${where}  related location in ${path.basename(related.filePath)}` :
+        `      ${where}  related location`;
+};
+
+/**
+ * @param {ESLintIssue[]} results - ESLint results, grouped by file
+ * @returns {string} - the report text
+ */
+module.exports = results => {
+    const lines = eslintStylish(results).split('\n');
+    if (lines.length === 1) {
+        return lines[0];
+    }
+
+    // stylish starts with an empty line and then, for each file that has
+    // messages, prints a header line, one line per message in order, and
+    // an empty line. Everything after that is the summary.
+    const output = [ lines[0] ];
+    let i = 1;
+    results.filter(({ messages }) => messages.length > 0).forEach(({ filePath, messages }) => {
+        output.push(lines[i++]);
+        messages.forEach(message => {
+            // A message with line breaks spans several lines of the table.
+            const rowLines = message.message.split('\n').length;
+            output.push(...lines.slice(i, i + rowLines));
+            i += rowLines;
+            (message.relatedLocations || []).forEach(related => {
+                output.push(formatRelated(related, filePath));
+            });
+        });
+        output.push(lines[i++]);
+    });
+
+    return output.concat(lines.slice(i)).join('\n');
+};
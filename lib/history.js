@@ -0,0 +1,78 @@
+// Local history of the MythX analyses submitted from a project, kept in
+// the Truffle build directory. "truffle run verify --list" shows it,
+// with the contract name and analysis mode that MythX doesn't record.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const trufstuf = require('./trufstuf');
+
+const historyFileName = 'mythx-history.json';
+
+// Only the most recent analyses are kept.
+const maxHistoryLength = 500;
+
+/**
+ * Where the history of a Truffle project is kept.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @returns {String|null} - null when the configuration has no build directory
+ */
+const getHistoryFile = config => {
+    const buildDirectory = trufstuf.getBuildDirectory(config);
+    return buildDirectory ? path.join(buildDirectory, historyFileName) : null;
+};
+
+/**
+ * Reads the history of analyses, oldest first.
+ *
+ * @param {String} file - history file
+ * @returns {Array<Object>} - uuid, contractName, mode, status and
+ *                            submittedAt of each analysis
+ */
+const readHistory = file => {
+    try {
+        const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Array.isArray(history) ? history : [];
+    } catch (err) {
+        return [];
+    }
+};
+
+/**
+ * Adds an analysis to the history, or updates it if it is there already.
+ *
+ * @param {String} file - history file
+ * @param {Object} entry - uuid, and any of contractName, mode, status and submittedAt
+ */
+const recordAnalysis = (file, entry) => {
+    // Fields left undefined don't overwrite what is known already.
+    entry = Object.keys(entry)
+        .filter(key => entry[key] !== undefined)
+        .reduce((defined, key) => Object.assign(defined, { [key]: entry[key] }), {});
+    const history = readHistory(file);
+    const index = history.findIndex(({ uuid }) => uuid === entry.uuid);
+    if (index >= 0) {
+        history[index] = Object.assign({}, history[index], entry);
+    } else {
+        history.push(Object.assign({ submittedAt: new Date().toISOString() }, entry));
+    }
+    fs.writeFileSync(file, JSON.stringify(history.slice(-maxHistoryLength), null, 2) + '\n');
+};
+
+/**
+ * Finds an analysis in the history.
+ *
+ * @param {String} file - history file
+ * @param {String} uuid - UUID of the analysis
+ * @returns {Object|undefined}
+ */
+const findAnalysis = (file, uuid) => readHistory(file).find(entry => entry.uuid === uuid);
+
+module.exports = {
+    findAnalysis,
+    getHistoryFile,
+    historyFileName,
+    readHistory,
+    recordAnalysis,
+};
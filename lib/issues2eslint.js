@@ -6,6 +6,9 @@ const SourceMappingDecoder = require(
     'remix-lib/src/sourceMappingDecoder');
 const srcmap = require('./srcmap');
 const mythx = require('./mythx');
+const { parseSuppressions } = require('./suppressions');
+const baseline = require('./baseline');
+const vyper = require('./vyper');
 
 /*
   Mythril seems to downplay severity. What eslint calls an "error",
@@ -19,33 +22,97 @@ const mythx2Severity = {
 
 const isFatal = (fatal, severity) => fatal || severity === 2;
 
+/**
+ * The ESLint message fields of an issue location: its line and column
+ * range, and the solc byte range, file index and raw source map it came
+ * from. A location that could not be placed on a line is flagged with
+ * locationUnknown and has line 0, rather than a made-up line.
+ *
+ * @param {object} location - start, end, byteRange, fileIndex and locationUnknown,
+ *                            from location2LineColumn()
+ * @param {string} sourceMap - the MythX location
+ * @returns {object}
+ */
+const locationFields = ({ start, end, byteRange, fileIndex, locationUnknown }, sourceMap) => {
+    const fields = { sourceMap };
+    if (byteRange) {
+        fields.byteRange = byteRange;
+    }
+    if (fileIndex >= 0) {
+        fields.fileIndex = fileIndex;
+    }
+    if (locationUnknown || !start || !(start.line > 0)) {
+        return Object.assign(fields, { line: 0, column: 0, endLine: 0, endCol: 0, locationUnknown: true });
+    }
+    const hasEnd = end && end.line > 0;
+    return Object.assign(fields, {
+        line: start.line,
+        column: start.column,
+        endLine: hasEnd ? end.line : start.line,
+        endCol: hasEnd ? end.column : start.column,
+    });
+};
+
 
 class MythXIssues {
     /**
      *
      * @param {object} buildObj - Truffle smart contract build object
+     * @param {object[]} buildObjs - all build objects of the project, used to
+     *                               resolve the sources that buildObj imports
+     * @param {object} options - verify options, e.g. a truffle config object
      */
-    constructor(buildObj) {
+    constructor(buildObj, buildObjs = [], options = {}) {
         this.issues = [];
-        this.buildObj = mythx.truffle2MythXJSON(buildObj);
+        this.options = options;
+        // UUID of the MythX analysis, once it has run.
+        this.uuid = null;
+        // Analysis mode of that analysis: quick or full.
+        this.mode = null;
+        // Parsed mythx-disable comments, by source name.
+        this.suppressions = {};
+        // Number of issues silenced by those comments in the last getEslintIssues().
+        this.suppressedCount = 0;
+        // Number of baseline issues of this contract by key, see setBaseline().
+        this.baseline = null;
+        // Number of issues hidden by the baseline in the last getEslintIssues().
+        this.baselinedCount = 0;
+        this.baselineRemaining = null;
+        this.buildObj = mythx.truffle2MythXJSON(buildObj, undefined, buildObjs);
+        // Vyper contracts have vyper's own source map instead of solc's.
+        this.isVyper = vyper.isVyperBuildObj(buildObj);
+        this.vyperPositions = this.isVyper ? vyper.parsePcPositions(buildObj.sourceMap) : null;
         this.sourceMap = this.buildObj.sourceMap;
         this.deployedSourceMap = this.buildObj.deployedSourceMap;
         this.offset2InstNum = srcmap.makeOffset2InstNum(this.buildObj.deployedBytecode);
+        // Constructor code is only in the creation bytecode, with its own source map.
+        this.creationOffset2InstNum = srcmap.makeOffset2InstNum(this.buildObj.bytecode || '0x');
+        this.creationHash = mythx.bytecodeHash(this.buildObj.bytecode);
         this.contractName = buildObj.contractName;
+        this.sourcePath = buildObj.sourcePath;
+        // Names of the sources in this.buildObj.sources, by source path.
+        this.sourceNames = mythx.getSourceNames(this.buildObj.sourceList.filter(sourcePath => sourcePath));
         this.sourceMappingDecoder = new SourceMappingDecoder();
         this.asts = this.mapAsts(this.buildObj.sources);
         this.lineBreakPositions = this.mapLineBreakPositions(this.sourceMappingDecoder, this.buildObj.sources);
     }
 
     /**
-     * Accepts analyze result issues and groups issues by sourceList
+     * Accepts analyze result issues and groups issues by sourceList.
+     * Issues whose SWC ID is in the "ignore-swc" option are dropped.
      *
      * @param {object[]} issues - MythX analyze API output result issues
      */
     setIssues(issues) {
+        const ignoredSWCs = [].concat(this.options['ignore-swc'] || []);
         this.issues = issues
-            .map(mythx.remapMythXOutput)
+            .map(issue => mythx.remapMythXOutput(issue, this.sourcePath))
             .reduce((acc, curr) => acc.concat(curr), []);
+        if (ignoredSWCs.length > 0) {
+            this.issues.forEach(report => {
+                report.issues = report.issues.filter(({ swcID }) => !ignoredSWCs.includes(swcID));
+            });
+        }
     }
 
     /**
@@ -101,21 +168,86 @@ class MythXIssues {
     }
 
     /**
-      * Turn a bytecode offset into a line and column location.
+      * Does a sourceList entry of a bytecode analysis stand for the creation
+      * bytecode? MythX lists bytecodes by hash; any other entry, such as the
+      * source path, is taken to mean the deployed bytecode.
+      *
+      * @param {string} source - an entry of the sourceList of a MythX result
+      * @returns {boolean}
+      */
+    isCreationCode(source) {
+        return !!source && !!this.creationHash &&
+            [this.creationHash, this.buildObj.bytecode].includes(source.toLowerCase());
+    }
+
+    /**
+      * Turn a bytecode offset into a solc source location.
+      *
+      * @param {integer} bytecodeOffset - the offset we want to convert
+      * @param {boolean} creation - true if the offset is in the creation bytecode
+      * @returns {start: number, length: number, file: number, jump: string}
+      */
+    byteOffset2SourceLocation(bytecodeOffset, creation = false) {
+        const instNum = (creation ? this.creationOffset2InstNum : this.offset2InstNum)[bytecodeOffset];
+        const sourceLocation = this.sourceMappingDecoder.atIndex(instNum,
+            creation ? this.sourceMap : this.deployedSourceMap);
+        assert(sourceLocation, 'sourceMappingDecoder.atIndex() should not return null');
+        return sourceLocation;
+    }
+
+    /**
+      * Turn the path of a source into its name, i.e. the key used in
+      * this.buildObj.sources, this.lineBreakPositions and this.asts.
+      * Paths that are not in our sourceList, e.g. from results of an
+      * analysis submitted from elsewhere, are matched by file name when
+      * only one source has that name.
+      *
+      * @param {string} sourcePath - path or name of a source
+      * @returns {string|undefined} - undefined when we don't have that source
+      */
+    sourceKey(sourcePath) {
+        if (!sourcePath) {
+            return undefined;
+        }
+        if (this.sourceNames[sourcePath] in this.lineBreakPositions) {
+            return this.sourceNames[sourcePath];
+        }
+        if (sourcePath in this.lineBreakPositions) {
+            return sourcePath;
+        }
+        const baseName = path.basename(sourcePath);
+        const matches = Object.keys(this.lineBreakPositions)
+            .filter(sourceName => path.basename(sourceName) === baseName);
+        return matches.length === 1 ? matches[0] : undefined;
+    }
+
+    /**
+      * Turn a solc file index into the name of the source it refers to,
+      * i.e. the key used in this.lineBreakPositions and this.asts.
+      *
+      * @param {integer} fileIndex - index into this.buildObj.sourceList
+      * @returns {string|undefined} - undefined when we don't have that source
+      */
+    fileIndex2SourceName(fileIndex) {
+        return this.sourceKey(this.buildObj.sourceList[fileIndex]);
+    }
+
+    /**
+      * Turn a bytecode offset into a line and column range.
       * We make use of this.sourceMappingDecoder of this class to make
       * the conversion.
       *
       * @param {integer} bytecodeOffset - the offset we want to convert
-      * @returns {line: number, column: number}
+      * @param {boolean} creation - true if the offset is in the creation bytecode
+      * @returns {Array} - start and end {line, column}; the start is
+      *                    {line: -1, column: 0} and the end {} when the offset
+      *                    maps to no source
       */
-    byteOffset2lineColumn(bytecodeOffset, lineBreakPositions) {
-        const instNum = this.offset2InstNum[bytecodeOffset];
-        const sourceLocation = this.sourceMappingDecoder.atIndex(instNum, this.deployedSourceMap);
-        assert(sourceLocation, 'sourceMappingDecoder.atIndex() should not return null');
+    byteOffset2lineColumn(bytecodeOffset, lineBreakPositions, creation = false) {
+        const sourceLocation = this.byteOffset2SourceLocation(bytecodeOffset, creation);
         const loc = this.sourceMappingDecoder
             .convertOffsetToLineColumn(sourceLocation, lineBreakPositions);
 
-        // FIXME: note we are lossy in that we don't return the end location
         if (loc.start) {
             // Adjust because routines starts lines at 0 rather than 1.
             loc.start.line++;
@@ -124,10 +256,6 @@ class MythXIssues {
             loc.end.line++;
         }
 
-        // FIXME: Note from discussion with Rocky we agreed
-        // that byteOffset2LineColumn should always return
-        // data even when line/column can't be found.
-        // Default is { start: {line: -1, column: 0}, end: {}}
         const start = loc.start || { line: -1, column: 0 };
         const end = loc.end || {};
 
@@ -137,12 +265,12 @@ class MythXIssues {
 
     /**
       * Turn a srcmap entry (the thing between semicolons) into a line and
-      * column location.
+      * column range.
       * We make use of this.sourceMappingDecoder of this class to make
       * the conversion.
       *
       * @param {string} srcEntry - a single entry of solc sourceMap
-      * @returns {line: number, column: number}
+      * @returns {Array} - start and end {line, column}, undefined when unknown
     */
     textSrcEntry2lineColumn(srcEntry, lineBreakPositions) {
         const ary = srcEntry.split(':');
@@ -152,7 +280,6 @@ class MythXIssues {
         };
         const loc = this.sourceMappingDecoder
             .convertOffsetToLineColumn(sourceLocation, lineBreakPositions);
-            // FIXME: note we are lossy in that we don't return the end location
         if (loc.start) {
             // Adjust because routines starts lines at 0 rather than 1.
             loc.start.line++;
@@ -163,6 +290,60 @@ class MythXIssues {
         return [loc.start, loc.end];
     }
 
+    /**
+      * Turn an issue location into a line and column range, and the file
+      * that range is in. Solc locations also give their byte range in
+      * that file and its file index.
+      *
+      * @param {string} sourceMap - a single location: a bytecode offset or a solc srcmap entry
+      * @param {string} sourceFormat - the kind of location we have, e.g. evm-bytecode or source text
+      * @param {string} filePath - path or name of the source the location was reported against
+      * @param {boolean} creation - true if a bytecode offset is in the creation bytecode
+      * @returns {filePath: string, start: {line, column}, end: {line, column},
+      *           byteRange: [start, end], fileIndex: number, locationUnknown: boolean}
+      *          - locationUnknown is true when the location can't be placed
+      *            on a line, e.g. when we don't have the source it is in
+      */
+    location2LineColumn(sourceMap, sourceFormat, filePath, creation = false) {
+        let startLineCol,  endLineCol, sourceLocation;
+
+        if (sourceFormat === 'evm-byzantium-bytecode' && this.isVyper) {
+            const offset = parseInt(sourceMap.split(':')[0], 10);
+            [startLineCol, endLineCol] = vyper.pc2LineColumn(this.vyperPositions, offset) || [];
+        } else if (sourceFormat === 'evm-byzantium-bytecode') {
+            const offset = parseInt(sourceMap.split(':')[0], 10);
+            // The offset may land in any file of the compilation unit, so
+            // use the line breaks of the file the source map points to.
+            sourceLocation = this.byteOffset2SourceLocation(offset, creation);
+            const sourceName = this.fileIndex2SourceName(sourceLocation.file);
+            if (sourceName) {
+                filePath = this.buildObj.sourceList[sourceLocation.file];
+            }
+            // Without the line breaks of the file, the location can't be placed.
+            const lineBreakPositions = this.lineBreakPositions[sourceName || this.sourceKey(filePath)];
+            if (lineBreakPositions) {
+                [startLineCol, endLineCol] = this.byteOffset2lineColumn(offset, lineBreakPositions, creation);
+            }
+        } else if (sourceFormat === 'text') {
+            const [ start, length, file ] = sourceMap.split(':').map(field => parseInt(field, 10));
+            sourceLocation = { start, length, file };
+            const lineBreakPositions = this.lineBreakPositions[this.sourceKey(filePath)];
+            if (lineBreakPositions) {
+                [startLineCol, endLineCol] = this.textSrcEntry2lineColumn(sourceMap, lineBreakPositions);
+            }
+        }
+
+        const location = { filePath, start: startLineCol, end: endLineCol };
+        if (!startLineCol || !(startLineCol.line > 0)) {
+            location.locationUnknown = true;
+        }
+        if (sourceLocation && sourceLocation.start >= 0 && sourceLocation.length >= 0) {
+            location.byteRange = [sourceLocation.start, sourceLocation.start + sourceLocation.length];
+            location.fileIndex = sourceLocation.file;
+        }
+        return location;
+    }
+
     /**
       * Convert a MythX issue into an ESLint-style issue.
       * The eslint report format which we use, has these fields:
@@ -176,11 +357,29 @@ class MythXIssues {
       * - ruleId,
       * - severity
       *
+      * plus, to place the issue exactly:
+      *
+      * - sourceMap, the MythX location it was converted from
+      * - byteRange: start and end byte offsets in the source, for solc locations
+      * - fileIndex: solc file index of the source, for solc locations
+      * - locationUnknown: true when the location could not be placed on a
+      *   line; line is then 0 and the message gives the source map
+      *
+      * plus, for issues with more than one location:
+      *
+      * - relatedLocations: filePath, line, column, endLine, endCol, and the
+      *   fields above
+      *
+      * and, for issues in constructor code, which the message also mentions:
+      *
+      * - creationCode: true
+      *
       * but a MythX JSON report has these fields:
       *
       * - description.head
       * - description.tail,
-      * - locations
+      * - sourceMap, the primary location
+      * - relatedLocations, any further locations
       * - severity
       * - swcId
       * - swcTitle
@@ -199,29 +398,25 @@ class MythXIssues {
             message: spaceLimited ? issue.description.head : `${issue.description.head} ${issue.description.tail}`,
             severity: mythx2Severity[issue.severity] || 1,
             mythXseverity: issue.severity,
-            line: -1,
-            column: 0,
-            endLine: -1,
-            endCol: 0,
         };
 
-        let startLineCol,  endLineCol;
-        const lineBreakPositions = this.lineBreakPositions[sourceName];
+        if (issue.creationCode) {
+            esIssue.message = `${esIssue.message} (in constructor code)`;
+            esIssue.creationCode = true;
+        }
 
-        if (sourceFormat === 'evm-byzantium-bytecode') {
-            // Pick out first byteCode offset value
-            const offset = parseInt(issue.sourceMap.split(':')[0], 10);
-            [startLineCol, endLineCol] = this.byteOffset2lineColumn(offset, lineBreakPositions);
-        } else if (sourceFormat === 'text') {
-            // Pick out first srcEntry value
-            const srcEntry = issue.sourceMap.split(';')[0];
-            [startLineCol, endLineCol] = this.textSrcEntry2lineColumn(srcEntry, lineBreakPositions);
+        const location = this.location2LineColumn(issue.sourceMap, sourceFormat, sourceName, issue.creationCode);
+        Object.assign(esIssue, locationFields(location, issue.sourceMap));
+        if (esIssue.locationUnknown) {
+            esIssue.message = `${esIssue.message} [location unknown: ${issue.sourceMap}]`;
         }
-        if (startLineCol) {
-            esIssue.line = startLineCol.line;
-            esIssue.column = startLineCol.column;
-            esIssue.endLine = endLineCol.line;
-            esIssue.endCol = endLineCol.column;
+
+        if (issue.relatedLocations) {
+            esIssue.relatedLocations = issue.relatedLocations.map(related => {
+                const creation = this.isCreationCode(related.source);
+                const location = this.location2LineColumn(related.sourceMap, sourceFormat, related.source, creation);
+                return Object.assign({ filePath: location.filePath }, locationFields(location, related.sourceMap));
+            });
         }
 
         return esIssue;
@@ -242,9 +437,12 @@ class MythXIssues {
             fixableWarningCount: 0,
             filePath: source,
         };
-        const sourceName = path.basename(source);
+        const sourceName = this.sourceKey(source);
 
-        result.messages = issues.map(issue => this.issue2EsLint(issue, spaceLimited, sourceFormat, sourceName));
+        result.messages = issues
+            .map(issue => this.issue2EsLint(issue, spaceLimited, sourceFormat, sourceName))
+            .filter(message => !this.isSuppressed(message, sourceName))
+            .filter(message => !this.isBaselined(message, sourceName));
 
         result.warningCount = result.messages.reduce((acc,  { fatal, severity }) =>
             !isFatal(fatal , severity) ? acc + 1: acc, 0);
@@ -254,6 +452,105 @@ class MythXIssues {
 
         return result;
     }
+
+    /**
+     * Splits a bytecode report into one report per source file.
+     * Bytecode offsets are reported against the contract as a whole, but
+     * through the source maps they can refer to any file of the
+     * compilation unit, such as an imported base contract. Issues in the
+     * creation bytecode are marked with creationCode, so that they are
+     * mapped through the creation source map.
+     *
+     * @param {object} report - issue item from the collection MythX analyze API output
+     * @returns {object[]}
+     */
+    splitReportBySource(report) {
+        // A Vyper contract is a single file.
+        if (report.sourceFormat !== 'evm-byzantium-bytecode' || this.isVyper) {
+            return [ report ];
+        }
+
+        const bySource = {};
+        const creation = this.isCreationCode(report.source);
+        report.issues.forEach(issue => {
+            if (creation) {
+                issue = Object.assign({}, issue, { creationCode: true });
+            }
+            const offset = parseInt(issue.sourceMap.split(':')[0], 10);
+            const { file } = this.byteOffset2SourceLocation(offset, creation);
+            const sourceName = this.fileIndex2SourceName(file);
+            const source = sourceName ? this.buildObj.sourceList[file] : report.source;
+            if (!bySource[source]) {
+                bySource[source] = Object.assign({}, report, { source, issues: [] });
+            }
+            bySource[source].issues.push(issue);
+        });
+
+        return Object.values(bySource);
+    }
+
+    /**
+     * Is this ESLint message silenced by a mythx-disable comment in its source?
+     * Suppressed messages are counted in this.suppressedCount.
+     * Comments are not honored when the "inline-suppressions" option is false.
+     *
+     * @param {object} message - ESLint message
+     * @param {string} sourceName - name of the source the message is in
+     * @returns {boolean}
+     */
+    isSuppressed(message, sourceName) {
+        const source = this.buildObj.sources[sourceName];
+        if (this.options['inline-suppressions'] === false || !source || !source.source ||
+            message.locationUnknown) {
+            return false;
+        }
+        if (!this.suppressions[sourceName]) {
+            this.suppressions[sourceName] = parseSuppressions(source.source);
+        }
+        const suppressed = this.suppressions[sourceName](message.line, message.ruleId);
+        if (suppressed) {
+            this.suppressedCount++;
+        }
+        return suppressed;
+    }
+
+    /**
+     * Hides the issues recorded in a baseline from later reports.
+     *
+     * @param {object} baselineObj - a baseline read with baseline.readBaseline(),
+     *                               or null to report every issue
+     */
+    setBaseline(baselineObj) {
+        this.baseline = baselineObj ? baseline.countBaselineIssues(baselineObj, this.contractName) : null;
+    }
+
+    /**
+     * Does this ESLint message match an issue of the baseline?
+     * Each baseline issue hides one message at most. Hidden messages
+     * are counted in this.baselinedCount.
+     *
+     * @param {object} message - ESLint message
+     * @param {string} sourceName - name of the source the message is in
+     * @returns {boolean}
+     */
+    isBaselined(message, sourceName) {
+        if (!this.baselineRemaining) {
+            return false;
+        }
+        const source = this.buildObj.sources[sourceName];
+        const key = baseline.entryKey({
+            contract: this.contractName,
+            swcID: message.ruleId,
+            fingerprint: baseline.fingerprint(message, source && source.source),
+        });
+        if (!this.baselineRemaining[key]) {
+            return false;
+        }
+        this.baselineRemaining[key]--;
+        this.baselinedCount++;
+        return true;
+    }
+
     /**
      * Transforms array of MythX Issues into Eslint issues
      *
@@ -261,7 +558,13 @@ class MythXIssues {
      * @returns {object[]}
      */
     getEslintIssues(spaceLimited = false) {
-        return this.issues.map(report => this.convertMythXReport2EsIssue(report, spaceLimited));
+        this.suppressedCount = 0;
+        this.baselinedCount = 0;
+        this.baselineRemaining = this.baseline && Object.assign({}, this.baseline);
+        return this.issues
+            .map(report => this.splitReportBySource(report))
+            .reduce((acc, curr) => acc.concat(curr), [])
+            .map(report => this.convertMythXReport2EsIssue(report, spaceLimited));
     }
 }
 
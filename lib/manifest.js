@@ -0,0 +1,56 @@
+// Manifests of analyses submitted with "truffle run verify --submit-only".
+// A manifest maps each submitted contract to the UUID of its MythX
+// analysis, so that "--collect" can report the results later. It also
+// has a hash of the data submitted for each contract, which tells
+// whether the contract's build artifacts changed in the meantime.
+'use strict';
+
+const fs = require('fs');
+
+const manifestVersion = 1;
+
+const defaultManifestFile = 'mythx-manifest.json';
+
+/**
+ * Writes a manifest of submitted analyses.
+ *
+ * @param {String} file - path of the manifest
+ * @param {String} mode - analysis mode the contracts were submitted with
+ * @param {Array<Object>} analyses - contractName, uuid and payloadHash of each analysis
+ */
+const writeManifest = (file, mode, analyses) => {
+    const manifest = {
+        version: manifestVersion,
+        submittedAt: new Date().toISOString(),
+        mode,
+        analyses,
+    };
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+};
+
+/**
+ * Reads a manifest of submitted analyses.
+ *
+ * @param {String} file - path of the manifest
+ * @returns {Object} - the manifest
+ * @throws {Error} - when the file can't be read or isn't a manifest
+ */
+const readManifest = file => {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read manifest ${file}: ${err.message}`);
+    }
+    if (!manifest || manifest.version !== manifestVersion || !Array.isArray(manifest.analyses) ||
+        !manifest.analyses.every(({ contractName, uuid }) => contractName && uuid)) {
+        throw new Error(`${file} is not a manifest written by --submit-only.`);
+    }
+    return manifest;
+};
+
+module.exports = {
+    defaultManifestFile,
+    readManifest,
+    writeManifest,
+};
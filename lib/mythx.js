@@ -1,23 +1,172 @@
 'use strict';
 
 const path = require('path');
+const { keccak_256 } = require('js-sha3');
+const vyper = require('./vyper');
+
+/**
+ * Returns the solc file index of a compiled source. The index is the
+ * third field of the `src` attribute ("start:length:fileIndex") of the
+ * source's SourceUnit AST node.
+ *
+ * @param {Object} ast - solc SourceUnit AST node
+ * @returns {integer} - file index, or -1 if it can't be determined
+ */
+const getSourceIndex = ast => {
+    if (!ast || typeof ast.src !== 'string') {
+        return -1;
+    }
+    const index = parseInt(ast.src.split(':')[2], 10);
+    return isNaN(index) ? -1 : index;
+};
+
+/**
+ * Collects the build objects of every file in a contract's compilation
+ * unit: the file the contract is defined in, followed by the files it
+ * imports directly or indirectly. Imported files are found among
+ * `buildObjs` by matching the import's resolved path against the AST
+ * path of each build object.
+ *
+ * @param {Object} truffleJSON - build object of the contract to analyze
+ * @param {Array<Object>} buildObjs - all build objects of the project
+ * @returns {Array<Object>} - one build object per source file
+ */
+const getDependencyBuildObjs = (truffleJSON, buildObjs) => {
+    const result = [];
+    const seen = new Set();
+    const pending = [ truffleJSON ];
+
+    while (pending.length > 0) {
+        const buildObj = pending.shift();
+        if (seen.has(buildObj.sourcePath)) {
+            continue;
+        }
+        seen.add(buildObj.sourcePath);
+        result.push(buildObj);
+
+        const nodes = (buildObj.ast && buildObj.ast.nodes) || [];
+        nodes
+            .filter(node => node.nodeType === 'ImportDirective')
+            .forEach(node => {
+                const imported = buildObjs.find(({ ast }) => ast && ast.absolutePath === node.absolutePath);
+                if (imported) {
+                    pending.push(imported);
+                }
+            });
+    }
+
+    return result;
+};
+
+/**
+ * Builds a `sourceList` whose positions match the solc file indices
+ * used in source maps. Only the compilation unit's own files are listed.
+ * Indices of files outside the unit are left as empty strings, which
+ * stand for no source.
+ *
+ * @param {Array<Object>} unitBuildObjs - build objects of the compilation unit
+ * @returns {Array<string>} - source paths ordered by file index
+ */
+const makeSourceList = unitBuildObjs => {
+    const sourceList = [];
+    for (const buildObj of unitBuildObjs) {
+        const index = getSourceIndex(buildObj.ast);
+        if (index >= 0) {
+            sourceList[index] = buildObj.sourcePath;
+        }
+    }
+
+    if (sourceList.length === 0) {
+        return unitBuildObjs.map(({ sourcePath }) => sourcePath);
+    }
+    return Array.from(sourceList, sourcePath => sourcePath || '');
+};
+
+/**
+ * Names the sources of a compilation unit for the `sources` of a MythX
+ * request: each is named by its path relative to the deepest directory
+ * that holds them all. That is the file name when they are all in one
+ * directory, and a longer path when files of the same name come from
+ * different directories, e.g. a project's SafeMath.sol and that of a
+ * library.
+ *
+ * @param {Array<string>} sourcePaths - paths of the unit's sources
+ * @returns {Object} - source name by source path
+ */
+const getSourceNames = sourcePaths => {
+    const names = {};
+    if (sourcePaths.length === 0) {
+        return names;
+    }
+    const isUnder = (directory, sourcePath) => {
+        const relative = path.relative(directory, sourcePath);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+    let directory = path.dirname(sourcePaths[0]);
+    while (!sourcePaths.every(sourcePath => isUnder(directory, sourcePath)) &&
+           path.dirname(directory) !== directory) {
+        directory = path.dirname(directory);
+    }
+    sourcePaths.forEach(sourcePath => {
+        names[sourcePath] = path.relative(directory, sourcePath).split(path.sep).join('/');
+    });
+    return names;
+};
+
+// Vyper build objects have no AST and no solc source maps, and Vyper
+// contracts don't import sources, so only the contract's own source and
+// bytecode are sent.
+const vyper2MythXJSON = (truffleJSON, toolId) => {
+    const {
+        contractName,
+        bytecode,
+        deployedBytecode,
+        sourcePath,
+        source,
+        compiler: { version },
+    } = truffleJSON;
+
+    return {
+        contractName,
+        bytecode,
+        deployedBytecode,
+        sourceList: [ sourcePath ],
+        sources: {
+            [getSourceNames([ sourcePath ])[sourcePath]]: { source },
+        },
+        toolId,
+        version,
+    };
+};
 
 // Take truffle's build/contracts/xxx.json JSON and make it
-// compatible with the Mythril Platform API
-const truffle2MythXJSON = function(truffleJSON, toolId = 'truffle-security') {
+// compatible with the Mythril Platform API.
+// The other build objects of the project are used to add the sources
+// and ASTs of every file the contract imports.
+const truffle2MythXJSON = function(truffleJSON, toolId = 'truffle-security', buildObjs = []) {
+    if (vyper.isVyperBuildObj(truffleJSON)) {
+        return vyper2MythXJSON(truffleJSON, toolId);
+    }
+
     const {
         contractName,
         bytecode,
         deployedBytecode,
         sourceMap,
         deployedSourceMap,
-        sourcePath,
-        source,
-        ast,
         compiler: { version },
     } = truffleJSON;
 
-    const sourcesKey = path.basename(sourcePath);
+    const unitBuildObjs = getDependencyBuildObjs(truffleJSON, buildObjs);
+
+    const sourceNames = getSourceNames(unitBuildObjs.map(({ sourcePath }) => sourcePath));
+    const sources = {};
+    unitBuildObjs.forEach(({ sourcePath, source, ast }) => {
+        sources[sourceNames[sourcePath]] = {
+            source,
+            ast,
+        };
+    });
 
     return {
         contractName,
@@ -25,20 +174,69 @@ const truffle2MythXJSON = function(truffleJSON, toolId = 'truffle-security') {
         deployedBytecode,
         sourceMap,
         deployedSourceMap,
-        sourceList: [ sourcePath ],
-        sources: {
-            [sourcesKey]: {
-                source,
-                ast,
-            },
-        },
+        sourceList: makeSourceList(unitBuildObjs),
+        sources,
         toolId,
         version,
     };
 };
 
 
-const remapMythXOutput = mythObject => {
+/**
+ * Returns the hash that stands for a bytecode in the sourceList of
+ * bytecode analyses: its Keccak-256, in 0x-prefixed hex.
+ *
+ * @param {string} bytecode - 0x-prefixed hex bytecode
+ * @returns {string|null} - null when there is no bytecode
+ */
+const bytecodeHash = bytecode => {
+    if (!bytecode || bytecode === '0x') {
+        return null;
+    }
+    return `0x${keccak_256(Buffer.from(bytecode.replace(/^0x/, ''), 'hex'))}`;
+};
+
+/**
+ * Expands a source map, which may hold several ";"-separated entries
+ * in solc's compressed format, into a list of "start:length:fileIndex"
+ * entries. Fields left empty in an entry are the same as in the entry
+ * before it.
+ *
+ * @param {string} sourceMap - a MythX location source map
+ * @returns {Array<string>} - one entry per location
+ */
+const expandSourceMap = sourceMap => {
+    const result = [];
+    let prev = [];
+    sourceMap.split(';').forEach(entry => {
+        if (!entry) {
+            return;
+        }
+        const fields = entry.split(':');
+        const current = [0, 1, 2].map(i => (fields[i] !== undefined && fields[i] !== '') ? fields[i] : prev[i]);
+        result.push(current.filter(field => field !== undefined).join(':'));
+        prev = current;
+    });
+    return result;
+};
+
+/**
+ * Groups the issues of a MythX output object by the source they refer to.
+ *
+ * An issue may have several locations, e.g. a declaration and its uses.
+ * The first one is the primary location: it decides which entry of
+ * `sourceList` the issue is grouped under, using the file index of its
+ * source map. Any other locations are kept with the issue as
+ * `relatedLocations`. Locations without a usable file index are put
+ * with the analyzed contract's own source.
+ *
+ * @param {Object} mythObject - MythX analyze API output item
+ * @param {string} ownSource - path of the analyzed contract's source
+ * @returns {Array<Object>} - one item with issues per sourceList entry;
+ *                            empty entries, which stand for no source,
+ *                            are left out
+ */
+const remapMythXOutput = (mythObject, ownSource) => {
     const mapped = mythObject.sourceList.map(source => ({
         source,
         sourceType: mythObject.sourceType,
@@ -46,27 +244,53 @@ const remapMythXOutput = mythObject => {
         issues: [],
     }));
 
+    const ownIndex = mythObject.sourceList.indexOf(ownSource) >= 0 ?
+        mythObject.sourceList.indexOf(ownSource) : Math.max(0, mythObject.sourceList.findIndex(source => source));
+
+    // The third field of a location is its index in sourceList.
+    const sourceListIndex = sourceMap => {
+        const index = parseInt(sourceMap.split(':')[2], 10);
+        return mythObject.sourceList[index] ? index : ownIndex;
+    };
+
     if (mythObject.issues) {
         mythObject.issues.forEach(issue => {
-            issue.locations.forEach(({ sourceMap }) => {
-                // const sourceListIndex = sourceMap.split(':')[2];
-                // FIXME: Only one sourceList is supported. set to 0
-                mapped[0].issues.push({
-                    swcID: issue.swcID,
-                    swcTitle: issue.swcTitle,
-                    description: issue.description,
-                    extra: issue.extra,
-                    severity: issue.severity,
-                    sourceMap,
-                });
-            });
+            const sourceMaps = issue.locations
+                .map(({ sourceMap }) => expandSourceMap(sourceMap))
+                .reduce((acc, curr) => acc.concat(curr), []);
+            if (sourceMaps.length === 0) {
+                return;
+            }
+
+            const [ sourceMap, ...relatedSourceMaps ] = sourceMaps;
+            const remapped = {
+                swcID: issue.swcID,
+                swcTitle: issue.swcTitle,
+                description: issue.description,
+                extra: issue.extra,
+                severity: issue.severity,
+                sourceMap,
+            };
+            if (relatedSourceMaps.length > 0) {
+                remapped.relatedLocations = relatedSourceMaps.map(related => ({
+                    sourceMap: related,
+                    source: mapped[sourceListIndex(related)].source,
+                }));
+            }
+            mapped[sourceListIndex(sourceMap)].issues.push(remapped);
         });
     }
 
-    return mapped;
+    return mapped.filter(({ source, issues }) => source || issues.length > 0);
 };
 
 module.exports = {
+    bytecodeHash,
+    expandSourceMap,
+    getDependencyBuildObjs,
+    getSourceNames,
+    getSourceIndex,
     truffle2MythXJSON,
     remapMythXOutput,
+    vyper2MythXJSON,
 };
@@ -0,0 +1,168 @@
+// Project-level defaults for "truffle run verify" options. These come
+// from a .mythx.yml file in the project directory or from a "verify"
+// section in truffle-config.js. Options given on the command line
+// override them.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const optionsFileName = '.mythx.yml';
+
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+const isString = value => typeof value === 'string';
+const isStrings = value => isString(value) ||
+      (Array.isArray(value) && value.every(isString));
+const isSWCIds = value => [].concat(value).every(id => /^SWC-\d+$/.test(id));
+
+// Each option we accept, with a check of its value and a description
+// of what the check expects, for error messages.
+const optionCheckers = {
+    limit: [isNumber, 'a number'],
+    retries: [isNumber, 'a number'],
+    timeout: [isNumber, 'a number'],
+    mode: [isString, 'a string'],
+    style: [isStrings, 'a string or a list of strings'],
+    context: [isNumber, 'a number'],
+    output: [isStrings, 'a string or a list of strings'],
+    debug: [value => isNumber(value) || typeof value === 'boolean', 'a number or true/false'],
+    progress: [value => typeof value === 'boolean', 'true or false'],
+    'fail-on': [isString, 'a string'],
+    contracts: [isStrings, 'a contract name, path or glob, or a list of them'],
+    exclude: [isStrings, 'a contract name, path or glob, or a list of them'],
+    'ignore-swc': [isSWCIds, 'an SWC ID such as "SWC-103" or a list of them'],
+    'inline-suppressions': [value => typeof value === 'boolean', 'true or false'],
+    manifest: [isString, 'a file path'],
+    cache: [value => typeof value === 'boolean', 'true or false'],
+    'include-abstract': [value => typeof value === 'boolean', 'true or false'],
+    baseline: [isString, 'a file path'],
+    'baseline-write': [isString, 'a file path'],
+};
+
+/**
+ * The number of single-character edits needed to turn one string into
+ * another (Levenshtein distance).
+ *
+ * @param {String} a
+ * @param {String} b
+ * @returns {integer}
+ */
+const editDistance = (a, b) => {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [ i ];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = current;
+    }
+    return prev[b.length];
+};
+
+/**
+ * Returns the candidates that are close to a misspelled name, closest first.
+ *
+ * @param {String} name - the misspelled name
+ * @param {Array<String>} candidates - names that are known
+ * @returns {Array<String>}
+ */
+const nearMisses = (name, candidates) => {
+    const maxDistance = Math.max(2, Math.floor(name.length / 3));
+    return candidates
+        .map(candidate => [candidate, editDistance(name.toLowerCase(), candidate.toLowerCase())])
+        .filter(([ , distance ]) => distance <= maxDistance)
+        .sort((a, b) => a[1] - b[1])
+        .map(([ candidate ]) => candidate);
+};
+
+/**
+ * Checks option names and value types.
+ *
+ * @param {Object} options - options read from a file
+ * @param {String} source - where the options were read from, for error messages
+ * @throws {Error} - listing every problem found
+ */
+const validateOptions = (options, source) => {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`${source}: expected a mapping of option names to values.`);
+    }
+
+    const problems = [];
+    Object.entries(options).forEach(([ name, value ]) => {
+        if (!(name in optionCheckers)) {
+            const suggestions = nearMisses(name, Object.keys(optionCheckers));
+            problems.push(suggestions.length > 0 ?
+                `unknown option "${name}"; did you mean "${suggestions[0]}"?` :
+                `unknown option "${name}"`);
+            return;
+        }
+        const [ check, expected ] = optionCheckers[name];
+        if (!check(value)) {
+            problems.push(`option "${name}" should be ${expected}; got ${JSON.stringify(value)}.`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`${source}:\n  ${problems.join('\n  ')}\n` +
+                        `Valid options are: ${Object.keys(optionCheckers).join(', ')}.`);
+    }
+};
+
+/**
+ * Reads the options file in a directory.
+ *
+ * @param {String} directory - the project directory
+ * @returns {Object} - the options, empty if there is no options file
+ */
+const loadOptionsFile = directory => {
+    const optionsPath = path.join(directory, optionsFileName);
+    if (!fs.existsSync(optionsPath)) {
+        return {};
+    }
+    let options;
+    try {
+        options = yaml.safeLoad(fs.readFileSync(optionsPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`${optionsPath}: ${err.message}`);
+    }
+    // An empty file has no options.
+    if (options === undefined || options === null) {
+        return {};
+    }
+    validateOptions(options, optionsPath);
+    return options;
+};
+
+/**
+ * Fills in options not given on the command line from the "verify"
+ * section of the truffle configuration and from .mythx.yml, the
+ * latter taking precedence.
+ *
+ * @param {Object} config - truffle configuration object, modified in place
+ * @returns {Object} - config
+ * @throws {Error} - when an options file has problems
+ */
+const applyOptions = config => {
+    const truffleOptions = config.verify || {};
+    validateOptions(truffleOptions, 'truffle-config.js "verify" section');
+    const fileOptions = loadOptionsFile(config.working_directory || process.cwd());
+
+    const options = Object.assign({}, truffleOptions, fileOptions);
+    Object.entries(options).forEach(([ name, value ]) => {
+        if (config[name] === undefined) {
+            config[name] = value;
+        }
+    });
+    return config;
+};
+
+module.exports = {
+    applyOptions,
+    editDistance,
+    loadOptionsFile,
+    nearMisses,
+    optionsFileName,
+    validateOptions,
+};
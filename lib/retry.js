@@ -0,0 +1,166 @@
+// Retrying MythX requests that failed for reasons that may go away:
+// network trouble, rate limiting and server errors. Other failures,
+// such as bad credentials, are reported right away.
+'use strict';
+
+const defaultRetries = 2;
+
+// Delay before the first retry, and the longest backoff, in milliseconds.
+// A Retry-After header from the server overrides both, up to maxRetryAfter.
+const baseDelay = 2000;
+const maxDelay = 60000;
+const maxRetryAfter = 5 * 60000;
+
+const networkErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+    'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+
+// Network failures that happen before a request is sent.
+const unsentErrorCodes = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+
+// Kinds of failure worth another try.
+const retryableKinds = ['network', 'rate-limit', 'server'];
+
+const errorText = err => String((err && (err.message || err.error)) || err);
+
+/**
+ * The HTTP status of a failed request. armlet reports some as error
+ * objects with a status code and others only in the error message.
+ *
+ * @param {Error|String} err
+ * @returns {integer|null}
+ */
+const getStatusCode = err => {
+    const code = err && (err.statusCode || err.status);
+    if (code) {
+        return Number(code);
+    }
+    const match = /HTTP status code: (\d{3})/.exec(errorText(err));
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Tells what kind of failure an error from armlet is.
+ *
+ * @param {Error|String} err
+ * @returns {String} - 'network', 'rate-limit', 'server', 'timeout', 'auth' or 'other'
+ */
+const classifyError = err => {
+    const text = errorText(err);
+    if (/time out reached|timed out/i.test(text)) {
+        return 'timeout';
+    }
+    const statusCode = getStatusCode(err);
+    if (statusCode === 401 || statusCode === 403 || /credentials/i.test(text)) {
+        return 'auth';
+    }
+    if (statusCode === 429) {
+        return 'rate-limit';
+    }
+    if (statusCode >= 500 && statusCode < 600) {
+        return 'server';
+    }
+    if ((err && networkErrorCodes.includes(err.code)) || /socket hang up/i.test(text)) {
+        return 'network';
+    }
+    return 'other';
+};
+
+/**
+ * Did a request surely not reach MythX, or get turned away before MythX
+ * acted on it? Only such requests can be sent again without the risk of
+ * doing twice what they ask, e.g. submitting an analysis twice.
+ *
+ * @param {Error|String} err
+ * @returns {boolean}
+ */
+const isUnprocessed = err => getStatusCode(err) === 429 ||
+      Boolean(err && unsentErrorCodes.includes(err.code));
+
+/**
+ * Is a failure of a kind worth another try?
+ *
+ * @param {Error|String} err
+ * @returns {boolean}
+ */
+const isRetryable = err => retryableKinds.includes(classifyError(err));
+
+/**
+ * How long the server asked us to wait, from a Retry-After header, but
+ * no longer than maxRetryAfter.
+ *
+ * @param {Error|String} err
+ * @param {Function} now - current time in milliseconds
+ * @returns {integer|null} - milliseconds, or null without a usable header
+ */
+const getRetryAfter = (err, now = Date.now) => {
+    const headers = (err && (err.headers || (err.response && err.response.headers))) || {};
+    const value = headers['retry-after'];
+    if (value === undefined) {
+        return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+        return Math.min(maxRetryAfter, Number(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.min(maxRetryAfter, Math.max(0, date - now()));
+};
+
+/**
+ * Exponential backoff with jitter: about baseDelay, then twice that, and so
+ * on, each time randomized between half and all of it, so that analyses
+ * that failed together don't all retry together.
+ *
+ * @param {integer} retry - number of the retry, starting at 1
+ * @param {Function} random - returns a number in [0, 1)
+ * @returns {integer} - milliseconds
+ */
+const backoffDelay = (retry, random = Math.random) => {
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, retry - 1));
+    return Math.round(delay / 2 + random() * delay / 2);
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calls a function until it succeeds, it fails in a way that is not worth
+ * retrying, or we run out of retries.
+ *
+ * @param {Function} fn - called with the attempt number, starting at 1;
+ *                        returns a promise
+ * @param {Object} options - retries: how many times to retry;
+ *                           retryIf(err): whether a failure is worth retrying,
+ *                           by default when it is of a retryable kind;
+ *                           onRetry(attempt, kind, delay, err): called before each retry;
+ *                           wait(ms): waits before a retry
+ * @returns {Promise} - resolves like fn, or rejects with its last error
+ */
+const withRetries = async (fn, { retries = defaultRetries, retryIf = isRetryable, onRetry = () => {},
+    wait: waitFn = wait } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            const kind = classifyError(err);
+            if (attempt > retries || !retryIf(err)) {
+                throw err;
+            }
+            const retryAfter = getRetryAfter(err);
+            const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt);
+            onRetry(attempt + 1, kind, delay, err);
+            await waitFn(delay);
+        }
+    }
+};
+
+module.exports = {
+    backoffDelay,
+    classifyError,
+    defaultRetries,
+    getRetryAfter,
+    getStatusCode,
+    isRetryable,
+    isUnprocessed,
+    maxRetryAfter,
+    retryableKinds,
+    withRetries,
+};
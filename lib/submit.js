@@ -0,0 +1,200 @@
+// Following MythX analyses step by step: submitting one, polling its
+// status and fetching its issues. armlet's Client only offers analyses
+// that submit and wait in one go, and its status and issue requests
+// fail without the HTTP status of the response, so these requests are
+// made here and fail with errors that can be classified and retried.
+//
+// Logging in and refreshing the access token follow armlet 1.2.1
+// (lib/login.js and lib/refresh.js, MIT license), which doesn't export
+// them; the requests are vendored here rather than required from
+// armlet's internals, so an armlet upgrade can't break them.
+'use strict';
+
+const request = require('request');
+
+const analysesPath = 'v1/analyses';
+const loginPath = 'v1/auth/login';
+const refreshPath = 'v1/auth/refresh';
+
+/**
+ * Turns a failed response into an error with its HTTP status and
+ * headers, so that it can be classified and retried.
+ *
+ * @param {Object} res - the response
+ * @param {*} data - its body
+ * @param {String} action - what failed, e.g. 'submitting analysis'
+ * @returns {Error}
+ */
+const responseError = (res, data, action) => {
+    let message;
+    if (res.statusCode === 401) {
+        message = 'MythX credentials are incorrect.';
+    } else if (res.statusCode === 413) {
+        message = 'The JSON data for the Smart Contract(s) sent are too large to process.';
+    } else {
+        const details = data && Array.isArray(data.details) ?
+            `: ${data.details.map(detail => detail.message).join(', ')}` : '';
+        message = `Failed in ${action}, HTTP status code: ${res.statusCode}${details}`;
+    }
+    const err = new Error(message);
+    err.statusCode = res.statusCode;
+    err.headers = res.headers;
+    return err;
+};
+
+/**
+ * Posts a form to one of MythX's authentication endpoints.
+ *
+ * @param {armlet.Client} client
+ * @param {String} path - path under the API URL
+ * @param {Object} form
+ * @param {String} action - what is being done, for error messages
+ * @returns {Promise} - resolves to the body of the response
+ */
+const postAuth = (client, path, form, action) => new Promise((resolve, reject) => {
+    request({ url: `${client.apiUrl.href}${path}`, method: 'POST', form, json: true }, (err, res, data) => {
+        if (err) {
+            reject(err);
+        } else if (res.statusCode !== 200) {
+            reject(responseError(res, data, action));
+        } else {
+            resolve(data);
+        }
+    });
+});
+
+/**
+ * Logs the client in, unless it has an access token already, e.g. from
+ * an API key.
+ *
+ * @param {armlet.Client} client
+ * @returns {Promise}
+ */
+const login = async client => {
+    if (client.accessToken) {
+        return;
+    }
+    const { email, ethAddress, userId, password } = client;
+    const tokens = await postAuth(client, loginPath, { email, userId, ethAddress, password }, 'logging in');
+    if (!tokens || !tokens.access || !tokens.refresh) {
+        throw new SyntaxError('MythX did not return access tokens');
+    }
+    client.accessToken = tokens.access;
+    client.refreshToken = tokens.refresh;
+};
+
+/**
+ * Gets a new access token for a client whose token expired.
+ *
+ * @param {armlet.Client} client
+ * @returns {Promise}
+ */
+const refresh = async client => {
+    const { refreshToken, accessToken } = client;
+    const tokens = await postAuth(client, refreshPath, { refreshToken, accessToken }, 'refreshing access token');
+    if (!tokens || !tokens.accessToken || !tokens.refreshToken) {
+        throw new SyntaxError('MythX did not return access tokens');
+    }
+    client.accessToken = tokens.accessToken;
+    client.refreshToken = tokens.refreshToken;
+};
+
+/**
+ * Sends a request to MythX with the client's access token.
+ *
+ * @param {armlet.Client} client
+ * @param {Object} options - method, path under the API URL, json body if any
+ * @param {String} action - what is being done, for error messages
+ * @returns {Promise} - resolves to the body of the response
+ */
+const send = (client, { method, path, json = true }, action) => new Promise((resolve, reject) => {
+    const options = {
+        url: `${client.apiUrl.href}${path}`,
+        method,
+        headers: {
+            Authorization: `Bearer ${client.accessToken}`,
+        },
+        json,
+    };
+    request(options, (err, res, data) => {
+        if (err) {
+            reject(err);
+        } else if (res.statusCode < 200 || res.statusCode > 299) {
+            reject(responseError(res, data, action));
+        } else {
+            resolve(data);
+        }
+    });
+});
+
+/**
+ * Like armlet's Client, logs in first and tries again with a refreshed
+ * access token when the token has expired.
+ *
+ * @param {armlet.Client} client
+ * @param {Object} options - as for send()
+ * @param {String} action - as for send()
+ * @returns {Promise} - resolves to the body of the response
+ */
+const sendLoggedIn = async (client, options, action) => {
+    await login(client);
+    try {
+        return await send(client, options, action);
+    } catch (err) {
+        if (err.statusCode !== 401 || !client.refreshToken) {
+            throw err;
+        }
+        await refresh(client);
+        return send(client, options, action);
+    }
+};
+
+/**
+ * Submits an analysis to MythX without waiting for its results.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {Object} analyzeOpts - options for armlet's analyze functions
+ * @returns {Promise} - resolves to the UUID of the analysis; rejects with
+ *                      an error that has the statusCode and headers of the
+ *                      response when MythX refuses it
+ */
+const submitAnalysis = async (client, analyzeOpts) => {
+    const options = { method: 'POST', path: analysesPath, json: analyzeOpts };
+    const data = await sendLoggedIn(client, options, 'submitting analysis');
+    if (!data || typeof data !== 'object' || !data.uuid) {
+        throw new SyntaxError('MythX did not return the UUID of the analysis');
+    }
+    return data.uuid;
+};
+
+/**
+ * Gets the status of an analysis.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {String} uuid - UUID of the analysis
+ * @returns {Promise} - resolves to the status of the analysis, as
+ *                      armlet's getStatus does; rejects like submitAnalysis
+ */
+const getStatus = (client, uuid) => {
+    const options = { method: 'GET', path: `${analysesPath}/${uuid}` };
+    return sendLoggedIn(client, options, `retrieving the status of analysis ${uuid}`);
+};
+
+/**
+ * Gets the issues found by a finished analysis.
+ *
+ * @param {armlet.Client} client - instance of armlet.Client to send data to API.
+ * @param {String} uuid - UUID of the analysis
+ * @returns {Promise} - resolves to the issues, as armlet's getIssues does;
+ *                      rejects like submitAnalysis
+ */
+const getIssues = (client, uuid) => {
+    const options = { method: 'GET', path: `${analysesPath}/${uuid}/issues` };
+    return sendLoggedIn(client, options, `retrieving the issues of analysis ${uuid}`);
+};
+
+module.exports = {
+    getIssues,
+    getStatus,
+    submitAnalysis,
+};
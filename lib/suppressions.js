@@ -0,0 +1,79 @@
+// Inline suppression comments in Solidity source:
+//
+//   // mythx-disable-next-line SWC-101
+//   // mythx-disable SWC-107
+//   ...
+//   // mythx-enable
+//
+// A comment without SWC IDs applies to every issue.
+'use strict';
+
+const commentRegexp = /(?:\/\/|\/\*)\s*mythx-(disable-next-line|disable|enable)\b(.*)/;
+
+/**
+ * A suppression state: either every issue is suppressed except for
+ * the SWC IDs in `except`, or only the SWC IDs in `ids` are.
+ */
+const newState = all => ({
+    all,
+    ids: new Set(),
+    except: new Set(),
+});
+
+const copyState = ({ all, ids, except }) => ({
+    all,
+    ids: new Set(ids),
+    except: new Set(except),
+});
+
+const stateSuppresses = (state, swcID) => state.all ? !state.except.has(swcID) : state.ids.has(swcID);
+
+/**
+ * Parses the suppression comments of a source.
+ *
+ * @param {String} source - Solidity source text
+ * @returns {Function} - (line, swcID) => true if an issue with swcID on line
+ *                       (starting at 1) is suppressed
+ */
+const parseSuppressions = source => {
+    // Suppression state in effect on each line, indexed from 1.
+    const lineStates = [ null ];
+    // SWC IDs suppressed on the next line by a disable-next-line comment.
+    const nextLine = [ null ];
+    let state = newState(false);
+
+    source.split('\n').forEach((text, i) => {
+        const match = commentRegexp.exec(text);
+        if (match) {
+            const [ , directive, rest ] = match;
+            const swcIDs = rest.match(/SWC-\d+/g) || [];
+            if (directive === 'disable-next-line') {
+                // An empty list means every issue.
+                nextLine[i + 2] = swcIDs;
+            } else if (swcIDs.length === 0) {
+                state = newState(directive === 'disable');
+            } else {
+                state = copyState(state);
+                // When everything is disabled, listed IDs are exceptions
+                // that "enable" adds and "disable" removes.
+                const listed = state.all ? state.except : state.ids;
+                const add = (directive === 'disable') !== state.all;
+                swcIDs.forEach(id => add ? listed.add(id) : listed.delete(id));
+            }
+        }
+        lineStates[i + 1] = state;
+    });
+
+    return (line, swcID) => {
+        const next = nextLine[line];
+        if (next && (next.length === 0 || next.includes(swcID))) {
+            return true;
+        }
+        const lineState = lineStates[line];
+        return !!lineState && stateSuppresses(lineState, swcID);
+    };
+};
+
+module.exports = {
+    parseSuppressions,
+};
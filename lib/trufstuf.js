@@ -2,14 +2,58 @@
 'use strict';
 
 const fs = require('fs');
+const minimatch = require('minimatch');
 const path = require('path');
+const vyper = require('./vyper');
 const util = require('util');
 
 const readdir = util.promisify(fs.readdir);
 const readFile = util.promisify(fs.readFile);
 const stat = util.promisify(fs.stat);
 
-const parseBuildJson = async file => {
+/**
+ * Finds the source file of a build artifact. Artifacts compiled on
+ * another machine have an absolute sourcePath that doesn't exist here.
+ * The part of that path after its contracts directory, e.g.
+ * "tokens/Token.sol" in "/home/ci/project/contracts/tokens/Token.sol",
+ * is looked up under this project's contracts directory instead. Paths
+ * of packages, such as npm imports, are never rebound to project files.
+ *
+ * @param {String} sourcePath - sourcePath of the build artifact
+ * @param {String} contractsDirectory - the project's contracts directory (*Optional*)
+ * @returns {Promise} - resolves to the path and fs.Stats of the source
+ *                      file, or null when it is not found
+ */
+const findSourceFile = async (sourcePath, contractsDirectory) => {
+    const candidates = [ sourcePath ];
+    if (sourcePath && contractsDirectory && path.isAbsolute(sourcePath)) {
+        const parts = sourcePath.split(/[\\/]/).filter(part => part);
+        const anchor = parts.lastIndexOf(path.basename(contractsDirectory));
+        if (anchor >= 0 && anchor < parts.length - 1 && !parts.includes('node_modules')) {
+            candidates.push(path.join(contractsDirectory, ...parts.slice(anchor + 1)));
+        }
+    }
+    for (const candidate of candidates) {
+        try {
+            return { sourcePath: candidate, stats: await stat(candidate) };
+        } catch (err) {
+            // Try the next one.
+        }
+    }
+    return null;
+};
+
+/**
+ * Reads a build JSON file. Given the contracts directory, the sourcePath
+ * of an artifact compiled on another machine is replaced by the path of
+ * its source file here, as findSourceFile() finds it, so that contracts
+ * are selected and reported by their local paths.
+ *
+ * @param {String} file - path of the build JSON file
+ * @param {String} contractsDirectory - the project's contracts directory (*Optional*)
+ * @returns {Promise} - resolves to the build object
+ */
+const parseBuildJson = async (file, contractsDirectory) => {
     const buildJson = await readFile(file, 'utf8');
     const buildObj = JSON.parse(buildJson);
     // Recent versions of truffle seem to add __ to the end of the bytecode
@@ -18,49 +62,90 @@ const parseBuildJson = async file => {
             buildObj[field] = buildObj[field].replace(/_.+$/, '');
         }
     }
+    if (contractsDirectory) {
+        const source = await findSourceFile(buildObj.sourcePath, contractsDirectory);
+        if (source) {
+            buildObj.sourcePath = source.sourcePath;
+        }
+    }
     return buildObj;
 };
 
-/* returns true if directory/file out of date
-*/
-const staleBuildContract = async (directory, file) => {
+const checkBuildJson = async (directory, file, contractsDirectory) => {
     const fullPath = path.join(directory, file);
     const buildObj = await parseBuildJson(fullPath);
     const fullPathStat = await stat(fullPath);
     const buildMtime = fullPathStat.mtime;
-    const sourcePath = buildObj.sourcePath;
-    let sourcePathStat;
+    const source = await findSourceFile(buildObj.sourcePath, contractsDirectory);
 
-    try {
-        sourcePathStat = await stat(sourcePath);
-    } catch (err) {
-        return true;
+    let reason = null;
+    if (!source) {
+        reason = buildObj.sourcePath ? `source file ${buildObj.sourcePath} not found` : 'no source path in build artifact';
+    } else {
+        buildObj.sourcePath = source.sourcePath;
+        if (source.stats.mtime > buildMtime) {
+            reason = `${source.sourcePath} changed since it was compiled`;
+        }
     }
+    return { buildObj, reason };
+};
+
+/**
+ * Tells why a build artifact is out of date, if it is.
+ *
+ * @param {String} directory - truffle smart contracts build directory
+ * @param {String} file - build JSON file in that directory
+ * @param {String} contractsDirectory - the project's contracts directory (*Optional*)
+ * @returns {Promise} - resolves to the reason, or null when the artifact is up to date
+ */
+const getStaleReason = async (directory, file, contractsDirectory) =>
+    (await checkBuildJson(directory, file, contractsDirectory)).reason;
+
+/* returns true if directory/file out of date
+*/
+const staleBuildContract = async (directory, file, contractsDirectory) =>
+    (await getStaleReason(directory, file, contractsDirectory)) !== null;
 
-    const sourceMtime = sourcePathStat.mtime;
-    return sourceMtime > buildMtime;
+/**
+ * Scans Truffle smart contracts build directory for build JSON files,
+ * setting aside those that are out of date.
+ *
+ * @param {string} directory - path to truffle smart contracts build directory.
+ * @param {string} contractsDirectory - the project's contracts directory (*Optional*)
+ * @returns {Promise} - resolves to files: paths of up-to-date build JSON files;
+ *                      skipped: contractName, sourcePath, file and reason of out-of-date ones.
+ *                      sourcePath is the path of the source file here, when it is found.
+ */
+const scanTruffleBuildJsonFiles = async (directory, contractsDirectory) => {
+    const files = await readdir(directory);
+    const filtered = files.filter(f => f !== 'Migrations.json');
+    const checked = await Promise.all(filtered.map(f => checkBuildJson(directory, f, contractsDirectory)));
+    return filtered.reduce((accum, f, i) => {
+        const file = path.join(directory, f);
+        const { buildObj, reason } = checked[i];
+        if (reason) {
+            const contractName = buildObj.contractName || path.basename(f, '.json');
+            accum.skipped.push({ contractName, sourcePath: buildObj.sourcePath, file, reason });
+        } else {
+            accum.files.push(file);
+        }
+        return accum;
+    }, { files: [], skipped: [] });
 };
 
 /**
  * Scans Truffle smart contracts build directory and returns
  * array of paths to smart contract build JSON files.
  *
- * @param {string} directory - path to truffle smart contracts build directory. {
+ * @param {string} directory - path to truffle smart contracts build directory.
+ * @param {string} contractsDirectory - the project's contracts directory (*Optional*)
  * @returns {Array<string>} - list of JSON files.
  */
-const getTruffleBuildJsonFiles = async function(directory) {
-    const files = await readdir(directory);
-    const filtered1 = files.filter(f => f !== 'Migrations.json');
-    const promisified = await Promise.all(filtered1.map(async f => {
-        const isStale = await staleBuildContract(directory, f);
-        return isStale ? null : f;
-    }));
-    const filtered2 = promisified.filter(f => !!f);
-    const filePaths = filtered2.map(f => path.join(directory, f));
-    return filePaths;
+const getTruffleBuildJsonFiles = async function(directory, contractsDirectory) {
+    const { files } = await scanTruffleBuildJsonFiles(directory, contractsDirectory);
+    return files;
 };
 
-
 /**
  * Extracts path to solidity file from smart contract build object
  * found in json files in truffle build directories.
@@ -74,10 +159,118 @@ const getTruffleBuildJsonFiles = async function(directory) {
  */
 const getSolidityFileFromJson = ({ sourcePath }) => sourcePath;
 
+// Characters that make a contract selector a glob.
+const globChars = /[*?[\]{}]/;
+
+const toSlashes = file => file.replace(/\\/g, '/');
+
+/**
+ * Is a contract selector a path or glob of Solidity or Vyper files,
+ * rather than a contract name?
+ *
+ * @param {String} selector
+ * @returns {boolean}
+ */
+const isPathSelector = selector => /[\\/]/.test(selector) || globChars.test(selector) ||
+      selector.endsWith('.sol') || vyper.isVyperSource(selector);
+
+/**
+ * Does a contract source path match a path or glob given on the command
+ * line? Relative patterns are taken from the project directory; a bare
+ * file name such as "Token.sol" matches that file in any directory, and a
+ * directory matches every file under it.
+ *
+ * @param {String} sourcePath - sourcePath of a build object
+ * @param {String} pattern - path or glob
+ * @param {String} workingDirectory - the project directory
+ * @returns {boolean}
+ */
+const matchesSourcePath = (sourcePath, pattern, workingDirectory) => {
+    if (!sourcePath) {
+        return false;
+    }
+    pattern = toSlashes(pattern).replace(/^\.\//, '').replace(/\/$/, '');
+    const file = toSlashes(path.isAbsolute(pattern) ? sourcePath : path.relative(workingDirectory, sourcePath));
+    const options = { matchBase: !pattern.includes('/') };
+    return minimatch(file, pattern, options) || minimatch(file, `${pattern}/**`, options);
+};
+
+/**
+ * Does a build object match a contract selector? Selectors are contract
+ * names ("Token"), qualified names ("contracts/Token.sol:Token" or
+ * "Token.sol:Token") and paths or globs of source files
+ * ("contracts/token/**\/*.sol").
+ *
+ * @param {Object} buildObj - contractName and sourcePath of a build object
+ * @param {String} selector - as given on the command line or in the options file
+ * @param {String} workingDirectory - the project directory
+ * @returns {boolean}
+ */
+const matchesContract = ({ contractName, sourcePath }, selector, workingDirectory) => {
+    const colon = selector.lastIndexOf(':');
+    // A colon right after a drive letter is part of a Windows path.
+    if (colon > 1) {
+        return contractName === selector.slice(colon + 1) &&
+            matchesSourcePath(sourcePath, selector.slice(0, colon), workingDirectory);
+    }
+    return isPathSelector(selector) ? matchesSourcePath(sourcePath, selector, workingDirectory) :
+        contractName === selector;
+};
+
+/**
+ * The contract selectors that match none of the build objects.
+ *
+ * @param {Array<Object>} buildObjs - contractName and sourcePath of each build object
+ * @param {Array<String>} selectors
+ * @param {String} workingDirectory - the project directory
+ * @returns {Array<String>}
+ */
+const unmatchedSelectors = (buildObjs, selectors, workingDirectory) => selectors.filter(
+    selector => !buildObjs.some(buildObj => matchesContract(buildObj, selector, workingDirectory)));
+
+/**
+ * Tells why a contract has nothing for MythX to analyze, if it hasn't:
+ * interfaces and abstract contracts, as the compiler's AST says, and
+ * anything else compiled to no bytecode.
+ *
+ * @param {Object} buildObj - Truffle smart contract build object
+ * @returns {String|null} - 'interface', 'abstract contract' or 'no bytecode';
+ *                          null when the contract can be analyzed
+ */
+const getUnanalyzableReason = ({ ast, contractName, deployedBytecode }) => {
+    const definition = ((ast && ast.nodes) || []).find(node =>
+        node.nodeType === 'ContractDefinition' && node.name === contractName);
+    if (definition && definition.contractKind === 'interface') {
+        return 'interface';
+    }
+    if (definition && definition.fullyImplemented === false) {
+        return 'abstract contract';
+    }
+    return !deployedBytecode || deployedBytecode === '0x' ? 'no bytecode' : null;
+};
+
+/**
+ * The Truffle build directory of a project, where we keep our own files
+ * next to the contract build JSON files.
+ *
+ * @param {Object} config - truffle configuration object.
+ * @returns {String|null} - null when the configuration has no build directory
+ */
+const getBuildDirectory = config => config.build_directory ||
+      (config.contracts_build_directory ? path.dirname(config.contracts_build_directory) : null);
+
 
 module.exports = {
+    findSourceFile,
+    getBuildDirectory,
+    getStaleReason,
     getTruffleBuildJsonFiles,
     getSolidityFileFromJson,
+    getUnanalyzableReason,
+    isPathSelector,
+    matchesContract,
     parseBuildJson,
+    scanTruffleBuildJsonFiles,
     staleBuildContract,
+    unmatchedSelectors,
 };
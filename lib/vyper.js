@@ -0,0 +1,117 @@
+// Vyper contracts. Truffle compiles them with the vyper command, when it
+// is installed. Their build artifacts have no AST and no solc source
+// maps; the source map vyper writes when asked for one maps program
+// counters of the deployed bytecode to source lines.
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// File extensions of Vyper sources, as truffle-compile-vyper knows them.
+const vyperExtensions = ['.vy', '.v.py', '.vyper.py'];
+
+/**
+ * Is this a Vyper source file?
+ *
+ * @param {String} file
+ * @returns {boolean}
+ */
+const isVyperSource = file => vyperExtensions.some(extension => file.endsWith(extension));
+
+/**
+ * Was this build object compiled by vyper?
+ *
+ * @param {Object} buildObj - Truffle smart contract build object
+ * @returns {boolean}
+ */
+const isVyperBuildObj = buildObj => !!(buildObj && buildObj.compiler && buildObj.compiler.name === 'vyper');
+
+/**
+ * Finds the Vyper sources of a project.
+ *
+ * @param {String} directory - the project's contracts directory
+ * @returns {Array<String>} - paths of Vyper sources; none when the directory doesn't exist
+ */
+const findVyperSources = directory => {
+    if (!directory || !fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory)
+        .map(entry => path.join(directory, entry))
+        .map(file => fs.statSync(file).isDirectory() ? findVyperSources(file) : [ file ])
+        .reduce((acc, curr) => acc.concat(curr), [])
+        .filter(isVyperSource);
+};
+
+/**
+ * The version of the vyper compiler on the PATH.
+ *
+ * @returns {Promise} - resolves to the version, or null when vyper can't be run
+ */
+const getVyperVersion = () => new Promise(resolve => {
+    childProcess.execFile('vyper', ['--version'], (err, stdout) => {
+        resolve(err ? null : stdout.trim());
+    });
+});
+
+/**
+ * Reads the positions of a vyper source map. Each program counter of the
+ * deployed bytecode that vyper knows a position for is given with its line
+ * and column, and with its end line and column when vyper has them.
+ *
+ * @param {String|Object} sourceMap - as vyper writes it, in JSON
+ * @returns {Array<Object>|null} - pc, start and end of each position,
+ *                                 ordered by pc; null without a usable map
+ */
+const parsePcPositions = sourceMap => {
+    let parsed = sourceMap;
+    if (typeof sourceMap === 'string') {
+        try {
+            parsed = JSON.parse(sourceMap);
+        } catch (err) {
+            return null;
+        }
+    }
+    if (!parsed || !parsed.pc_pos_map) {
+        return null;
+    }
+    return Object.entries(parsed.pc_pos_map)
+        .filter(([ , position ]) => Array.isArray(position) && position[0])
+        .map(([ pc, [ line, column, endLine, endColumn ] ]) => ({
+            pc: parseInt(pc, 10),
+            start: { line, column: column || 0 },
+            end: endLine ? { line: endLine, column: endColumn || 0 } : { line, column: column || 0 },
+        }))
+        .sort((a, b) => a.pc - b.pc);
+};
+
+/**
+ * Turns a bytecode offset into a line and column range: that of the last
+ * position at or before the offset, since vyper gives positions only where
+ * a statement's code starts.
+ *
+ * @param {Array<Object>} positions - from parsePcPositions()
+ * @param {integer} offset - offset into the deployed bytecode
+ * @returns {Array<Object>|null} - start and end, or null when unknown
+ */
+const pc2LineColumn = (positions, offset) => {
+    let found = null;
+    for (const position of positions || []) {
+        if (position.pc > offset) {
+            break;
+        }
+        found = position;
+    }
+    return found ? [ found.start, found.end ] : null;
+};
+
+module.exports = {
+    findVyperSources,
+    getVyperVersion,
+    isVyperBuildObj,
+    isVyperSource,
+    parsePcPositions,
+    pc2LineColumn,
+    vyperExtensions,
+};
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const baseline = require('../lib/baseline');
+const { MythXIssues } = require('../lib/issues2eslint');
+
+
+describe('baseline', () => {
+    const contractJSON = `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`;
+    const sourceName = 'simple_dao.sol';
+    let truffleJSON;
+    let tmpDir;
+
+    beforeEach(() => {
+        truffleJSON = JSON.parse(fs.readFileSync(contractJSON, 'utf8'));
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+    });
+
+    afterEach(() => {
+        fs.readdirSync(tmpDir).forEach(file => fs.unlinkSync(path.join(tmpDir, file)));
+        fs.rmdirSync(tmpDir);
+    });
+
+    const makeIssues = (buildObj, sourceMap, swcID = 'SWC-101') => {
+        const issuesObject = new MythXIssues(buildObj);
+        issuesObject.setIssues([{
+            'sourceType': 'solidity-file',
+            'sourceFormat': 'text',
+            'sourceList': [
+                `/tmp/contracts/${sourceName}`,
+            ],
+            'issues': [{
+                'description': { 'head': 'Head message', 'tail': 'Tail message' },
+                'locations': [{ 'sourceMap': sourceMap }],
+                'severity': 'High',
+                swcID,
+                'swcTitle': 'Test Title'
+            }],
+        }]);
+        return issuesObject;
+    };
+
+    it('should take the source text of a message', () => {
+        const source = 'contract C {\n    uint x = a + b;\n}\n';
+        assert.equal(baseline.sourceSnippet({ line: 2, column: 13, endLine: 2, endCol: 18 }, source), 'a + b');
+        assert.equal(baseline.sourceSnippet({ line: 1, column: 9, endLine: 3, endCol: 1 }, source),
+            'C { uint x = a + b; }');
+        assert.equal(baseline.sourceSnippet({ line: -1, column: 0, endLine: -1, endCol: 0 }, source), '');
+    });
+
+    it('should give the same fingerprint to an issue that moved to another line', () => {
+        const message = { ruleId: 'SWC-101', line: 2, column: 13, endLine: 2, endCol: 18 };
+        const moved = { ruleId: 'SWC-101', line: 3, column: 13, endLine: 3, endCol: 18 };
+        const source = 'contract C {\n    uint x = a + b;\n}\n';
+        assert.equal(baseline.fingerprint(message, source),
+            baseline.fingerprint(moved, `\n${source}`));
+        assert.notEqual(baseline.fingerprint(message, source),
+            baseline.fingerprint(Object.assign({}, message, { ruleId: 'SWC-107' }), source));
+    });
+
+    it('should write and read a baseline', () => {
+        const file = path.join(tmpDir, 'baseline.json');
+        const count = baseline.writeBaseline(file, [ makeIssues(truffleJSON, '310:23:0') ]);
+        assert.equal(count, 1);
+
+        const read = baseline.readBaseline(file);
+        assert.equal(read.issues.length, 1);
+        assert.equal(read.issues[0].contract, 'SimpleDAO');
+        assert.equal(read.issues[0].swcID, 'SWC-101');
+        assert.equal(read.issues[0].line, 12);
+    });
+
+    it('should throw when a file is not a baseline', () => {
+        const file = path.join(tmpDir, 'other.json');
+        fs.writeFileSync(file, '{"issues": 1}');
+        assert.throws(() => baseline.readBaseline(file), /is not a baseline file/);
+        assert.throws(() => baseline.readBaseline(path.join(tmpDir, 'missing.json')),
+            /Cannot read baseline file/);
+    });
+
+    it('should hide baseline issues even when they moved', () => {
+        const recorded = baseline.makeBaseline([ makeIssues(truffleJSON, '310:23:0') ]);
+
+        // Add a line at the top of the source, which moves the issue one line down.
+        truffleJSON.source = `\n${truffleJSON.source}`;
+        const issuesObject = makeIssues(truffleJSON, '311:23:0');
+        issuesObject.setBaseline(recorded);
+        const result = issuesObject.getEslintIssues(true);
+        assert.deepEqual(result[0].messages, []);
+        assert.equal(issuesObject.baselinedCount, 1);
+    });
+
+    it('should report issues that are not in the baseline', () => {
+        const recorded = baseline.makeBaseline([ makeIssues(truffleJSON, '310:23:0') ]);
+
+        const issuesObject = makeIssues(truffleJSON, '310:23:0', 'SWC-107');
+        issuesObject.setBaseline(recorded);
+        const result = issuesObject.getEslintIssues(true);
+        assert.equal(result[0].messages.length, 1);
+        assert.equal(result[0].messages[0].line, 12);
+        assert.equal(issuesObject.baselinedCount, 0);
+    });
+});
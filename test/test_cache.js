@@ -0,0 +1,77 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cache = require('../lib/cache');
+
+
+describe('cache', () => {
+    let tmpDir;
+    let cacheDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+        cacheDir = path.join(tmpDir, cache.cacheDirectoryName);
+    });
+
+    afterEach(() => {
+        cache.clearCache(cacheDir);
+        if (fs.existsSync(cacheDir)) {
+            fs.rmdirSync(cacheDir);
+        }
+        fs.rmdirSync(tmpDir);
+    });
+
+    it('should keep the cache in the build directory', () => {
+        assert.equal(cache.getCacheDirectory({ contracts_build_directory: '/project/build/contracts' }),
+            '/project/build/mythx-cache');
+        assert.equal(cache.getCacheDirectory({
+            build_directory: '/project/out',
+            contracts_build_directory: '/project/out/contracts',
+        }), '/project/out/mythx-cache');
+        assert.equal(cache.getCacheDirectory({}), null);
+    });
+
+    it('should key results on the data, the analysis mode and the account', () => {
+        const data = { contractName: 'Token', deployedBytecode: '0x6080' };
+        const key = cache.getCacheKey(data, 'quick');
+        assert.equal(key, cache.getCacheKey(Object.assign({}, data), 'quick'));
+        assert.notEqual(key, cache.getCacheKey(data, 'full'));
+        assert.notEqual(key, cache.getCacheKey(data, 'quick', 'me@example.com'));
+        assert.notEqual(cache.getCacheKey(data, 'quick', 'MythX trial user'),
+                        cache.getCacheKey(data, 'quick', 'me@example.com'));
+        assert.notEqual(key, cache.getCacheKey(Object.assign({}, data, { deployedBytecode: '0x6081' }), 'quick'));
+    });
+
+    it('should read back cached results', () => {
+        const key = cache.getCacheKey({ contractName: 'Token' }, 'quick');
+        assert.equal(cache.readCache(cacheDir, key), null);
+
+        cache.writeCache(cacheDir, key, { contractName: 'Token', mode: 'quick', uuid: 'uuid-1', issues: [] });
+        const cached = cache.readCache(cacheDir, key);
+        assert.equal(cached.uuid, 'uuid-1');
+        assert.deepEqual(cached.issues, []);
+        assert.ok(cached.savedAt);
+    });
+
+    it('should ignore unreadable cache files', () => {
+        fs.mkdirSync(cacheDir);
+        fs.writeFileSync(path.join(cacheDir, 'broken.json'), '{');
+        assert.equal(cache.readCache(cacheDir, 'broken'), null);
+    });
+
+    it('should find cached results by UUID', () => {
+        cache.writeCache(cacheDir, 'a', { contractName: 'Token', mode: 'full', uuid: 'uuid-1', issues: [] });
+        assert.equal(cache.findCachedAnalysis(cacheDir, 'uuid-1').contractName, 'Token');
+        assert.equal(cache.findCachedAnalysis(cacheDir, 'uuid-2'), null);
+        assert.equal(cache.findCachedAnalysis(path.join(tmpDir, 'missing'), 'uuid-1'), null);
+    });
+
+    it('should clear cached results', () => {
+        cache.writeCache(cacheDir, 'a', { issues: [] });
+        cache.writeCache(cacheDir, 'b', { issues: [] });
+        assert.equal(cache.clearCache(cacheDir), 2);
+        assert.equal(cache.readCache(cacheDir, 'a'), null);
+        assert.equal(cache.clearCache(path.join(tmpDir, 'missing')), 0);
+    });
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const credentials = require('../lib/credentials');
+
+
+describe('credentials', () => {
+    describe('resolveCredentials', () => {
+        it('should prefer credentials from the environment', () => {
+            const resolved = credentials.resolveCredentials(
+                { MYTHX_ETH_ADDRESS: '0x1234', MYTHX_PASSWORD: 'secret' },
+                { apiKey: 'saved-key' });
+            assert.deepEqual(resolved, {
+                armletOptions: { ethAddress: '0x1234', password: 'secret' },
+                source: 'environment',
+                identity: '0x1234',
+            });
+        });
+
+        it('should use saved credentials without environment variables', () => {
+            const resolved = credentials.resolveCredentials({}, { apiKey: 'saved-key-abcd' });
+            assert.deepEqual(resolved.armletOptions, { apiKey: 'saved-key-abcd' });
+            assert.equal(resolved.source, 'login');
+            assert.equal(resolved.identity, 'API key ending in abcd');
+        });
+
+        it('should fall back to the trial account', () => {
+            const resolved = credentials.resolveCredentials({}, {});
+            assert.deepEqual(resolved.armletOptions, {});
+            assert.equal(resolved.source, 'trial');
+        });
+    });
+
+    describe('saved credentials', () => {
+        let tmpDir;
+        let store;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+            // Stands in for a Configstore.
+            store = {
+                path: path.join(tmpDir, 'truffle-security.json'),
+                get all() {
+                    return fs.existsSync(this.path) ? JSON.parse(fs.readFileSync(this.path, 'utf8')) : {};
+                },
+                set all(value) {
+                    fs.writeFileSync(this.path, JSON.stringify(value));
+                },
+            };
+        });
+
+        afterEach(() => {
+            if (fs.existsSync(store.path)) {
+                fs.unlinkSync(store.path);
+            }
+            fs.rmdirSync(tmpDir);
+        });
+
+        it('should save credentials readable only by the user', () => {
+            fs.writeFileSync(store.path, '{}', { mode: 0o644 });
+            credentials.saveCredentials(store, { email: 'me@example.com', password: 'secret', extra: 1 });
+            assert.deepEqual(store.all, { email: 'me@example.com', password: 'secret' });
+            assert.equal(fs.statSync(store.path).mode & 0o777, credentials.storeMode);
+        });
+
+        it('should remove saved credentials', () => {
+            assert.equal(credentials.clearCredentials(store), false);
+            credentials.saveCredentials(store, { apiKey: 'key' });
+            assert.equal(credentials.clearCredentials(store), true);
+            assert.ok(!fs.existsSync(store.path));
+        });
+    });
+});
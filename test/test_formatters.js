@@ -0,0 +1,276 @@
+const assert = require('assert');
+const fs = require('fs');
+const stylish = require('../lib/formatters/stylish');
+const sarif = require('../lib/formatters/sarif');
+const codeframe = require('../lib/formatters/codeframe');
+const html = require('../lib/formatters/html');
+const { MythXIssues } = require('../lib/issues2eslint');
+
+describe('formatters', function() {
+    describe('stylish', () => {
+        const results = [{
+            errorCount: 1,
+            warningCount: 1,
+            fixableErrorCount: 0,
+            fixableWarningCount: 0,
+            filePath: '/tmp/contracts/sol1.sol',
+            messages: [{
+                ruleId: 'SWC-109',
+                line: 3,
+                column: 4,
+                endLine: 3,
+                endCol: 20,
+                fatal: false,
+                message: 'Dangerous use of uninitialized storage variables.',
+                mythXseverity: 'High',
+                severity: 2,
+                relatedLocations: [{
+                    filePath: '/tmp/contracts/sol1.sol',
+                    line: 7,
+                    column: 8,
+                    endLine: 7,
+                    endCol: 16,
+                }, {
+                    filePath: '/tmp/contracts/sol2.sol',
+                    line: 12,
+                    column: 0,
+                    endLine: 12,
+                    endCol: 10,
+                }, {
+                    filePath: '/tmp/contracts/sol1.sol',
+                    line: 0,
+                    column: 0,
+                    endLine: 0,
+                    endCol: 0,
+                    sourceMap: '1234:1:0',
+                    locationUnknown: true,
+                }],
+            }, {
+                ruleId: 'SWC-103',
+                line: 1,
+                column: 0,
+                endLine: 1,
+                endCol: 23,
+                fatal: false,
+                message: 'A floating pragma is set.',
+                mythXseverity: 'Low',
+                severity: 1,
+            }],
+        }];
+
+        it('should list related locations below the issue they belong to', () => {
+            const lines = stylish(results).split('\n');
+            const issueLine = lines.findIndex(line => line.includes('SWC-109'));
+            assert.ok(issueLine > 0);
+            assert.ok(/^\s+7:8\s+related location$/.test(lines[issueLine + 1]));
+            assert.ok(/^\s+12:0\s+related location in sol2\.sol$/.test(lines[issueLine + 2]));
+            assert.ok(/^\s+unknown location \(1234:1:0\)\s+related location$/.test(lines[issueLine + 3]));
+            assert.ok(lines[issueLine + 4].includes('SWC-103'));
+        });
+
+        it('should return an empty report when there are no issues', () => {
+            assert.equal(stylish([{ filePath: '/tmp/contracts/sol1.sol', messages: [] }]), '');
+        });
+    });
+
+    describe('sarif', () => {
+        const contractJSON = `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`;
+        let obj;
+
+        beforeEach(() => {
+            obj = new MythXIssues(JSON.parse(fs.readFileSync(contractJSON, 'utf8')));
+            obj.uuid = '0680a1e2-b908-4c9a-a15b-636ef9b61486';
+            obj.mode = 'quick';
+            obj.setIssues([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [
+                    '/tmp/contracts/simple_dao.sol',
+                ],
+                'issues': [{
+                    'description': {
+                        'head': 'Head message',
+                        'tail': 'Tail message'
+                    },
+                    'locations': [{
+                        'sourceMap': '310:23:0'
+                    }, {
+                        'sourceMap': '30:2:0'
+                    }],
+                    'severity': 'Low',
+                    'swcID': 'SWC-107',
+                    'swcTitle': 'Reentrancy'
+                }],
+            }]);
+        });
+
+        it('should write a SARIF 2.1.0 log with a run per analysis', () => {
+            const log = JSON.parse(sarif([], { objects: [ obj ] }));
+            assert.equal(log.version, '2.1.0');
+            assert.equal(log.runs.length, 1);
+
+            const run = log.runs[0];
+            assert.deepEqual(run.properties, {
+                contractName: 'SimpleDAO',
+                mythXUUID: '0680a1e2-b908-4c9a-a15b-636ef9b61486',
+                analysisMode: 'quick',
+            });
+            assert.deepEqual(run.tool.driver.rules, [{
+                id: 'SWC-107',
+                shortDescription: { text: 'Reentrancy' },
+                helpUri: 'https://swcregistry.io/docs/SWC-107',
+            }]);
+        });
+
+        it('should give results a level, a physical location and related locations', () => {
+            const result = JSON.parse(sarif([], { objects: [ obj ] })).runs[0].results[0];
+            assert.equal(result.ruleId, 'SWC-107');
+            assert.equal(result.ruleIndex, 0);
+            assert.equal(result.level, 'note');
+            assert.equal(result.message.text, 'Head message Tail message');
+            assert.deepEqual(result.locations, [{
+                physicalLocation: {
+                    artifactLocation: { uri: 'file:///tmp/contracts/simple_dao.sol' },
+                    region: { startLine: 12, startColumn: 5, endLine: 12, endColumn: 28 },
+                },
+            }]);
+            assert.deepEqual(result.relatedLocations, [{
+                id: 1,
+                physicalLocation: {
+                    artifactLocation: { uri: 'file:///tmp/contracts/simple_dao.sol' },
+                    region: { startLine: 2, startColumn: 28, endLine: 2, endColumn: 30 },
+                },
+            }]);
+        });
+    });
+
+    describe('codeframe', () => {
+        const contractJSON = `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`;
+        let obj;
+
+        beforeEach(() => {
+            obj = new MythXIssues(JSON.parse(fs.readFileSync(contractJSON, 'utf8')));
+            obj.setIssues([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [
+                    '/tmp/contracts/simple_dao.sol',
+                ],
+                'issues': [{
+                    'description': {
+                        'head': 'Head message',
+                        'tail': 'Tail message'
+                    },
+                    'locations': [{
+                        'sourceMap': '310:23:0'
+                    }, {
+                        'sourceMap': '30:2:0'
+                    }],
+                    'severity': 'Low',
+                    'swcID': 'SWC-107',
+                    'swcTitle': 'Reentrancy'
+                }],
+            }]);
+        });
+
+        it('should show the source around an issue with its span underlined', () => {
+            const lines = codeframe(obj.getEslintIssues(false), { objects: [ obj ] }).split('\n');
+            assert.deepEqual(lines.slice(0, 12), [
+                '',
+                '/tmp/contracts/simple_dao.sol',
+                '',
+                '12:4  Low  SWC-107 Reentrancy',
+                '  Head message Tail message',
+                '  10 |',
+                '  11 |   function donate(address to) payable public{',
+                '> 12 |     credit[to] += msg.value;',
+                '     |     ^^^^^^^^^^^^^^^^^^^^^^^',
+                '  13 |   }',
+                '  14 |',
+                '  related location: 2:27',
+            ]);
+            assert.equal(lines[13], '✖ 1 problem (0 errors, 1 warning)');
+        });
+
+        it('should show as many lines around an issue as asked', () => {
+            const lines = codeframe(obj.getEslintIssues(false), { objects: [ obj ], context: 0 }).split('\n');
+            assert.deepEqual(lines.slice(5, 8), [
+                '> 12 |     credit[to] += msg.value;',
+                '     |     ^^^^^^^^^^^^^^^^^^^^^^^',
+                '  related location: 2:27',
+            ]);
+        });
+
+        it('should list issues without a frame when their source is not known', () => {
+            const lines = codeframe(obj.getEslintIssues(false), { objects: [] }).split('\n');
+            assert.deepEqual(lines.slice(3, 6), [
+                '12:4  Low  SWC-107',
+                '  Head message Tail message',
+                '  related location: 2:27',
+            ]);
+        });
+
+        it('should return an empty report when there are no issues', () => {
+            assert.equal(codeframe([{ filePath: '/tmp/contracts/sol1.sol', messages: [] }], { objects: [] }), '');
+        });
+    });
+
+    describe('html', () => {
+        const contractJSON = `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`;
+        let obj;
+
+        beforeEach(() => {
+            obj = new MythXIssues(JSON.parse(fs.readFileSync(contractJSON, 'utf8')));
+            obj.uuid = '0680a1e2-b908-4c9a-a15b-636ef9b61486';
+            obj.mode = 'full';
+            obj.setIssues([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [
+                    '/tmp/contracts/simple_dao.sol',
+                ],
+                'issues': [{
+                    'description': {
+                        'head': 'Head <message>',
+                        'tail': 'Tail message'
+                    },
+                    'locations': [{
+                        'sourceMap': '310:23:0'
+                    }],
+                    'severity': 'Low',
+                    'swcID': 'SWC-107',
+                    'swcTitle': 'Reentrancy'
+                }],
+            }]);
+        });
+
+        it('should summarize the issues by severity and SWC ID', () => {
+            const page = html([], { objects: [ obj ] });
+            assert.ok(page.startsWith('<!DOCTYPE html>'));
+            assert.ok(page.includes('<tr><td><span class="badge low">Low</span></td><td>1</td></tr>'));
+            assert.ok(page.includes('<tr><td><span class="badge high">High</span></td><td>0</td></tr>'));
+            assert.ok(page.includes('<tr><td><a href="https://swcregistry.io/docs/SWC-107">SWC-107</a></td>' +
+                                    '<td>Reentrancy</td><td>1</td></tr>'));
+        });
+
+        it('should give each contract a section with its UUID, mode and issues', () => {
+            const page = html([], { objects: [ obj ] });
+            assert.ok(page.includes('<h2>SimpleDAO</h2>'));
+            assert.ok(page.includes('MythX UUID: 0680a1e2-b908-4c9a-a15b-636ef9b61486 &middot; analysis mode: full'));
+            assert.ok(page.includes('<p>Head &lt;message&gt; Tail message</p>'));
+            assert.ok(page.includes('<a href="#contract-0-f0-L12">line 12, column 4</a>'));
+        });
+
+        it('should show the highlighted source with the issue marked', () => {
+            const page = html([], { objects: [ obj ] });
+            assert.ok(page.includes('<span class="line" id="contract-0-f0-L8"><span class="ln">8</span>' +
+                                    '<span class="kw">contract</span> SimpleDAO {</span>'));
+            assert.ok(page.includes('<span class="ln">12</span>    <mark class="low">credit[to] += msg.value</mark>;'));
+        });
+
+        it('should load nothing from elsewhere', () => {
+            const page = html([], { objects: [ obj ] });
+            assert.ok(!/<(script|link|img)\b/.test(page));
+        });
+    });
+});
@@ -2,10 +2,14 @@ const assert = require('assert');
 const proxyquire = require('proxyquire');
 const rewire = require('rewire');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const armlet = require('armlet');
 const sinon = require('sinon');
 const trufstuf = require('../lib/trufstuf');
 const mythx = require('../lib/mythx');
+const cache = require('../lib/cache');
+const vyper = require('../lib/vyper');
 const rewiredHelpers = rewire('../helpers');
 const util = require('util');
 
@@ -80,24 +84,24 @@ describe('helpers.js', function() {
     describe('analyze', () => {
         let loggerStub;
         let config;
-        let getTruffleBuildJsonFilesStub;
+        let scanTruffleBuildJsonFilesStub;
 
         let contractsCompileStub;
         let doReportStub;
         let getNotFoundContractsStub;
         let doAnalysisStub;
-        let ghettoReportStub;
+        let listIssuesStub;
         let getIssues;
 
 
         beforeEach(() => {
-            getTruffleBuildJsonFilesStub = sinon.stub(trufstuf, 'getTruffleBuildJsonFiles');
+            scanTruffleBuildJsonFilesStub = sinon.stub(trufstuf, 'scanTruffleBuildJsonFiles');
             contractsCompileStub = sinon.stub();
             doReportStub = sinon.stub();
             getNotFoundContractsStub = sinon.stub();
             doAnalysisStub = sinon.stub();
             loggerStub = sinon.stub();
-            ghettoReportStub = sinon.stub();
+            listIssuesStub = sinon.stub();
             getIssues = sinon.stub(armlet.Client.prototype, 'getIssues');
 
             config = {
@@ -115,11 +119,11 @@ describe('helpers.js', function() {
             helpers.__set__('getNotFoundContracts', getNotFoundContractsStub);
             helpers.__set__('contractsCompile', contractsCompileStub);
             helpers.__set__('doReport', doReportStub);
-            helpers.__set__('ghettoReport', ghettoReportStub);
+            helpers.__set__('listIssues', listIssuesStub);
         });
 
         afterEach(() => {
-            getTruffleBuildJsonFilesStub.restore();
+            scanTruffleBuildJsonFilesStub.restore();
             getIssues.restore();
         });
 
@@ -137,21 +141,170 @@ describe('helpers.js', function() {
 
         it('should call doAnalyze and report issues', async () => {
             doAnalysisStub.resolves({ objects: 1, errors: 3 });
-            getTruffleBuildJsonFilesStub.resolves(['test.json']);
+            scanTruffleBuildJsonFilesStub.resolves({ files: ['test.json'], skipped: [] });
             getNotFoundContractsStub.returns([])
 
             await helpers.analyze(config);
-            assert.ok(getTruffleBuildJsonFilesStub.calledWith(config.contracts_build_directory));
+            assert.ok(scanTruffleBuildJsonFilesStub.calledWith(config.contracts_build_directory, config.contracts_directory));
             assert.ok(doAnalysisStub.called);
             assert.ok(getNotFoundContractsStub.calledWith(1, null));
             assert.ok(doReportStub.calledWith(config, 1, 3, []));
         });
 
+        it('should report contracts skipped because their build artifacts are out of date', async () => {
+            doAnalysisStub.resolves({ objects: [], errors: [], outcomes: [], timeouts: [] });
+            scanTruffleBuildJsonFilesStub.resolves({ files: [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ], skipped: [
+                { contractName: 'Token', file: '/build/contracts/Token.json',
+                  reason: 'source file /elsewhere/contracts/Token.sol not found' },
+                { contractName: 'Other', file: '/build/contracts/Other.json',
+                  reason: 'source file /elsewhere/contracts/Other.sol not found' },
+            ] });
+            getNotFoundContractsStub.returns(['Token']);
+            config._ = ['verify', 'Token'];
+            config.recompile = true;
+
+            await helpers.analyze(config);
+            assert.ok(contractsCompileStub.calledWith(sinon.match({ all: true })));
+            assert.ok(loggerStub.calledWith([
+                'Skipped 1 contract with out-of-date build artifacts:',
+                '  Token: source file /elsewhere/contracts/Token.sol not found',
+                'Run with --recompile to compile all contracts again.',
+            ].join('\n')));
+            assert.ok(doReportStub.calledWith(config, [], [], []));
+            assert.ok(loggerStub.calledWith([
+                'Contract  Status         UUID  Details',
+                'Token     skipped-stale  -     source file /elsewhere/contracts/Token.sol not found',
+            ].join('\n')));
+        });
+
+        it('should suggest near-miss names for contracts that are not found', async () => {
+            scanTruffleBuildJsonFilesStub.resolves({ files: [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ], skipped: [] });
+            config._ = ['verify', 'SimpleDOA', 'SimpleDAO.sol:SimpleDao', 'contracts/none/*.sol'];
+
+            const exitCode = await helpers.analyze(config);
+            assert.equal(exitCode, helpers.exitCodes.analysisErrors);
+            assert.ok(!doAnalysisStub.called);
+            assert.ok(loggerStub.calledWith([
+                'These smart contracts were not found:',
+                '  SimpleDOA: did you mean SimpleDAO?',
+                '  SimpleDAO.sol:SimpleDao: did you mean simple_dao.sol:SimpleDAO?',
+                '  contracts/none/*.sol',
+                'Give contract names (Token), qualified names (contracts/Token.sol:Token) ' +
+                    'or paths or globs of source files (contracts/token/**/*.sol).',
+            ].join('\n')));
+        });
+
+        it('should find contracts compiled elsewhere by their paths in this project', async () => {
+            const projectDir = `${__dirname}/sample-truffle/simple_dao`;
+            config.working_directory = projectDir;
+            config.contracts_directory = `${projectDir}/contracts`;
+            doAnalysisStub.resolves({ objects: [], errors: [], outcomes: [], timeouts: [] });
+            getNotFoundContractsStub.returns([]);
+            scanTruffleBuildJsonFilesStub.resolves({ files: [
+                `${projectDir}/build/contracts/SimpleDAO.json`,
+            ], skipped: [] });
+            config._ = ['verify', 'contracts/simple_dao.sol', 'contracts/**/*.sol', 'contracts/simple_dao.sol:SimpleDAO'];
+
+            const exitCode = await helpers.analyze(config);
+            assert.equal(exitCode, helpers.exitCodes.ok);
+            assert.ok(doAnalysisStub.called);
+            assert.ok(!loggerStub.calledWith(sinon.match(/not found/)));
+        });
+
+        it('should not report contracts selected by path or qualified name as not found', async () => {
+            const projectDir = `${__dirname}/sample-truffle/simple_dao`;
+            const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+            const unstubbed = rewire('../helpers');
+            unstubbed.__set__({
+                contractsCompile: sinon.stub(),
+                submit: {
+                    submitAnalysis: sinon.stub().resolves('uuid-1'),
+                    getStatus: sinon.stub().resolves({ status: 'Finished' }),
+                    getIssues: sinon.stub().resolves([]),
+                },
+            });
+            scanTruffleBuildJsonFilesStub.resolves({ files: [
+                `${projectDir}/build/contracts/SimpleDAO.json`,
+            ], skipped: [] });
+            Object.assign(config, {
+                build_directory: buildDir,
+                working_directory: projectDir,
+                contracts_directory: `${projectDir}/contracts`,
+                cache: false,
+                progress: false,
+            });
+            config.logger.error = sinon.stub();
+            config._ = ['verify', 'contracts/**/*.sol', 'simple_dao.sol:SimpleDAO'];
+
+            const exitCode = await unstubbed.analyze(config);
+            assert.equal(exitCode, unstubbed.exitCodes.ok);
+            assert.ok(!config.logger.error.called);
+
+            fs.unlinkSync(path.join(buildDir, 'mythx-history.json'));
+            fs.rmdirSync(buildDir);
+        });
+
+        it('should report and return error when the baseline cannot be written', async () => {
+            doAnalysisStub.resolves({ objects: [], errors: [], outcomes: [], timeouts: [] });
+            scanTruffleBuildJsonFilesStub.resolves({ files: [], skipped: [] });
+            getNotFoundContractsStub.returns([]);
+            config['baseline-write'] = path.join(__filename, 'baseline.json');
+
+            const exitCode = await helpers.analyze(config);
+            assert.ok(loggerStub.calledWith(sinon.match(`Could not write baseline to ${config['baseline-write']}: `)));
+            assert.ok(doReportStub.called);
+            assert.equal(exitCode, helpers.exitCodes.analysisErrors);
+        });
+
+        it('should return error when the verify options are invalid', async () => {
+            config.verify = { timout: 300 };
+            const exitCode = await rewiredHelpers.analyze(config);
+            assert.ok(/unknown option "timout"; did you mean "timeout"\?/.test(loggerStub.getCall(0).args[0]));
+            assert.equal(exitCode, rewiredHelpers.exitCodes.analysisErrors);
+        });
+
+        it('should return error when fail-on value is unknown', async () => {
+            config['fail-on'] = 'critical';
+            const exitCode = await rewiredHelpers.analyze(config);
+            assert.equal(loggerStub.getCall(0).args[0], 'fail-on should be one of high, medium, low, any, none; got critical.');
+            assert.equal(exitCode, rewiredHelpers.exitCodes.analysisErrors);
+        });
+
+        it('should return error when the mode is unknown', async () => {
+            config.mode = 'deep';
+            const exitCode = await rewiredHelpers.analyze(config);
+            assert.equal(loggerStub.getCall(0).args[0], 'mode should be one of quick, full; got deep.');
+            assert.equal(exitCode, rewiredHelpers.exitCodes.analysisErrors);
+        });
+
+        it('should return error when the baseline file cannot be read', async () => {
+            config.baseline = '/nonexistent/baseline.json';
+            const exitCode = await rewiredHelpers.analyze(config);
+            assert.ok(/^Cannot read baseline file \/nonexistent\/baseline.json/.test(loggerStub.getCall(0).args[0]));
+            assert.equal(exitCode, rewiredHelpers.exitCodes.analysisErrors);
+            assert.ok(!doAnalysisStub.called);
+        });
+
+        it('should return the exit status for reported issues', async () => {
+            doAnalysisStub.resolves({ objects: [], errors: [] });
+            scanTruffleBuildJsonFilesStub.resolves({ files: ['test.json'], skipped: [] });
+            getNotFoundContractsStub.returns([]);
+            doReportStub.returns([{ messages: [{ mythXseverity: 'Medium' }] }]);
+            config['fail-on'] = 'medium';
+
+            const exitCode = await helpers.analyze(config);
+            assert.equal(exitCode, helpers.exitCodes.issuesFound);
+        });
+
         it('should call getIssues when uuid is provided', async () => {
             config.uuid = 'test';
             await helpers.analyze(config);
             assert.ok(getIssues.called);
-            assert.ok(ghettoReportStub.called);
+            assert.ok(listIssuesStub.called);
         });
 
         it('should show error when getIssues break', async () => {
@@ -286,17 +439,24 @@ describe('helpers.js', function() {
     });
 
     describe('doAnalysis', () => {
-        let armletClient, stubAnalyze, debuggerStub;
+        let armletClient, stubSubmit, stubStatus, stubIssues, retryWait, debuggerStub, revert;
 
         beforeEach(() => {
             armletClient = new armlet.Client({ apiKey: 'test' });
-            stubAnalyze = sinon.stub(armletClient, 'analyzeWithStatus');
+            stubSubmit = sinon.stub().resolves('uuid-1');
+            stubStatus = sinon.stub().resolves({ status: 'Finished', uuid: 'uuid-1' });
+            stubIssues = sinon.stub().resolves([]);
+            retryWait = sinon.stub().resolves();
+            revert = rewiredHelpers.__set__({
+                submit: { submitAnalysis: stubSubmit, getStatus: stubStatus, getIssues: stubIssues },
+                pollInterval: 0,
+                retryWait,
+            });
             debuggerStub = sinon.stub();
         });
 
         afterEach(() => {
-            stubAnalyze.restore();
-            stubAnalyze = null;
+            revert();
         });
 
         it('should return 1 mythXIssues object and no errors', async () => {
@@ -313,36 +473,33 @@ describe('helpers.js', function() {
 
             const simpleDaoJSON = await util.promisify(fs.readFile)(jsonFiles[0], 'utf8');
             const mythXInput = mythx.truffle2MythXJSON(JSON.parse(simpleDaoJSON));
-            stubAnalyze.resolves({
-                issues: [{
-                    'sourceFormat': 'evm-byzantium-bytecode',
-                    'sourceList': [
-                        `${__dirname}/sample-truffle/simple_dao/contracts/SimpleDAO.sol`
-                    ],
-                    'sourceType': 'raw-bytecode',
-                    'issues': [{
-                        'description': {
-                            'head': 'Head message',
-                            'tail': 'Tail message'
-                        },
-                        'locations': [{
-                            'sourceMap': '444:1:0'
-                        }],
-                        'severity': 'High',
-                        'swcID': 'SWC-000',
-                        'swcTitle': 'Test Title'
+            stubIssues.resolves([{
+                'sourceFormat': 'evm-byzantium-bytecode',
+                'sourceList': [
+                    `${__dirname}/sample-truffle/simple_dao/contracts/SimpleDAO.sol`
+                ],
+                'sourceType': 'raw-bytecode',
+                'issues': [{
+                    'description': {
+                        'head': 'Head message',
+                        'tail': 'Tail message'
+                    },
+                    'locations': [{
+                        'sourceMap': '444:1:0'
                     }],
-                    'meta': {
-                        'selected_compiler': '0.5.0',
-                        'error': [],
-                        'warning': []
-                    }
+                    'severity': 'High',
+                    'swcID': 'SWC-000',
+                    'swcTitle': 'Test Title'
                 }],
-                status: { status: 'Finished' },
-            });
+                'meta': {
+                    'selected_compiler': '0.5.0',
+                    'error': [],
+                    'warning': []
+                }
+            }]);
             const results = await doAnalysis(armletClient, config, jsonFiles);
             mythXInput.analysisMode = 'quick';
-            assert.ok(stubAnalyze.calledWith({
+            assert.ok(stubSubmit.calledWith(armletClient, {
                 data: mythXInput,
                 timeout: 120000,
                 clientToolName: 'truffle',
@@ -362,15 +519,12 @@ describe('helpers.js', function() {
             const jsonFiles = [
                 `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
             ];
-            stubAnalyze.resolves({
-                issues: [],
-                status: { status: 'Error'},
-            });
+            stubStatus.resolves({ status: 'Error' });
             const simpleDaoJSON = await util.promisify(fs.readFile)(jsonFiles[0], 'utf8');
             const mythXInput = mythx.truffle2MythXJSON(JSON.parse(simpleDaoJSON));
             const results = await doAnalysis(armletClient, config, jsonFiles);
             mythXInput.analysisMode = 'quick';
-            assert.ok(stubAnalyze.calledWith({
+            assert.ok(stubSubmit.calledWith(armletClient, {
                 data: mythXInput,
                 timeout: 120000,
                 clientToolName: 'truffle',
@@ -379,6 +533,222 @@ describe('helpers.js', function() {
             assert.equal(results.objects.length, 0);
         });
 
+        it('should run analyses in the requested mode', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                mode: 'full',
+                logger: {debug: debuggerStub},
+                style: 'test-style',
+                progress: false,
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            const analyzeOpts = stubSubmit.getCall(0).args[1];
+            assert.equal(analyzeOpts.data.analysisMode, 'full');
+            assert.equal(analyzeOpts.timeout, 1800000);
+            assert.equal(results.objects[0].mode, 'full');
+        });
+
+        it('should keep the UUID of analyses that timed out', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                timeout: 0.01,
+                cache: false,
+                logger: {debug: debuggerStub},
+                progress: false,
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            stubSubmit.resolves('0680a1e2-b908-4c9a-a15b-636ef9b61486');
+            stubStatus.resolves({ status: 'In progress' });
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubSubmit.callCount, 1);
+            assert.ok(!stubIssues.called);
+            assert.equal(results.errors.length, 0);
+            assert.deepEqual(results.timeouts, [{
+                contractName: 'SimpleDAO',
+                uuid: '0680a1e2-b908-4c9a-a15b-636ef9b61486',
+            }]);
+            assert.equal(results.outcomes[0].outcome, 'timed out');
+        });
+
+        it('should retry refused submissions after as long as MythX asks', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                retries: 1,
+                cache: false,
+                logger: {debug: debuggerStub},
+                progress: false,
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            const refused = new Error('Failed in submitting analysis, HTTP status code: 429');
+            refused.statusCode = 429;
+            refused.headers = { 'retry-after': '7' };
+            stubSubmit.onCall(0).rejects(refused);
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubSubmit.callCount, 2);
+            assert.ok(retryWait.calledOnceWith(7000));
+            assert.equal(results.errors.length, 0);
+            assert.equal(results.objects[0].uuid, 'uuid-1');
+        });
+
+        it('should not submit again when the submission may have reached MythX', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                retries: 2,
+                cache: false,
+                logger: {debug: debuggerStub},
+                progress: false,
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            const reset = Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+            stubSubmit.rejects(reset);
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubSubmit.callCount, 1);
+            assert.deepEqual(results.errors, [reset]);
+        });
+
+        it('should wait for a submitted analysis again without submitting it again', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                retries: 1,
+                cache: false,
+                logger: {debug: debuggerStub},
+                progress: false,
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            const unavailable = new Error('Failed in retrieving the status of analysis uuid-1, HTTP status code: 503');
+            unavailable.statusCode = 503;
+            stubStatus.onCall(0).rejects(unavailable);
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubSubmit.callCount, 1);
+            assert.equal(stubStatus.callCount, 2);
+            assert.ok(stubIssues.calledOnceWith(armletClient, 'uuid-1'));
+            assert.equal(results.objects[0].uuid, 'uuid-1');
+
+            stubStatus.rejects(unavailable);
+            const failed = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubSubmit.callCount, 2);
+            assert.deepEqual(failed.errors, [unavailable]);
+            assert.equal(failed.outcomes[0].uuid, 'uuid-1');
+        });
+
+        it('should record the UUID of a submitted analysis before waiting for it', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+            const config = {
+                _: [],
+                build_directory: buildDir,
+                cache: false,
+                logger: {debug: debuggerStub},
+                progress: false,
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            stubStatus.rejects(new Error('Analysis with UUID uuid-1 not found.'));
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(results.errors.length, 1);
+            const historyFile = path.join(buildDir, 'mythx-history.json');
+            const [ entry ] = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+            assert.deepEqual([ entry.uuid, entry.contractName, entry.mode, entry.status ],
+                             [ 'uuid-1', 'SimpleDAO', 'quick', 'Submitted' ]);
+            assert.ok(entry.submittedAt);
+
+            fs.unlinkSync(historyFile);
+            fs.rmdirSync(buildDir);
+        });
+
+        it('should reuse cached results of unchanged contracts', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+            const config = {
+                _: [],
+                build_directory: buildDir,
+                logger: {debug: debuggerStub},
+                style: 'test-style',
+                progress: false,
+            };
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+            const first = await doAnalysis(armletClient, config, jsonFiles);
+            const second = await doAnalysis(armletClient, config, jsonFiles);
+            assert.equal(stubSubmit.callCount, 1);
+            assert.equal(second.objects.length, 1);
+            assert.equal(second.objects[0].uuid, first.objects[0].uuid);
+
+            await doAnalysis(armletClient, Object.assign({}, config, { cache: false }), jsonFiles);
+            assert.equal(stubSubmit.callCount, 2);
+
+            // Results found as the trial user are not reused for an account.
+            await doAnalysis(armletClient, Object.assign({}, config, { mythxAccount: 'MythX trial user' }), jsonFiles);
+            assert.equal(stubSubmit.callCount, 3);
+            await doAnalysis(armletClient, Object.assign({}, config, { mythxAccount: 'me@example.com' }), jsonFiles);
+            assert.equal(stubSubmit.callCount, 4);
+
+            const history = JSON.parse(fs.readFileSync(path.join(buildDir, 'mythx-history.json'), 'utf8'));
+            assert.deepEqual(history.map(({ uuid, contractName, status }) => [uuid, contractName, status]),
+                [['uuid-1', 'SimpleDAO', 'Finished']]);
+
+            const cacheDir = path.join(buildDir, cache.cacheDirectoryName);
+            cache.clearCache(cacheDir);
+            fs.rmdirSync(cacheDir);
+            fs.unlinkSync(path.join(buildDir, 'mythx-history.json'));
+            fs.rmdirSync(buildDir);
+        });
+
+        it('should not analyze interfaces unless asked to', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+            const buildObj = JSON.parse(fs.readFileSync(
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`, 'utf8'));
+            buildObj.ast.nodes[1].contractKind = 'interface';
+            buildObj.bytecode = buildObj.deployedBytecode = '0x';
+            const jsonFile = path.join(buildDir, 'SimpleDAO.json');
+            fs.writeFileSync(jsonFile, JSON.stringify(buildObj));
+            const config = {
+                _: [],
+                logger: {debug: debuggerStub},
+                progress: false,
+                cache: false,
+            };
+
+            const results = await doAnalysis(armletClient, config, [ jsonFile ]);
+            assert.ok(!stubSubmit.called);
+            assert.equal(results.objects.length, 0);
+            assert.deepEqual(results.outcomes, [{
+                contractName: 'SimpleDAO', outcome: 'not analyzed', uuid: undefined, detail: 'interface',
+            }]);
+
+            config['include-abstract'] = true;
+            const included = await doAnalysis(armletClient, config, [ jsonFile ]);
+            assert.ok(stubSubmit.calledOnce);
+            assert.equal(included.objects.length, 1);
+
+            fs.unlinkSync(jsonFile);
+            fs.rmdirSync(buildDir);
+        });
+
         it.skip('should return 1 mythXIssues object and 1 error', async () => {
             const doAnalysis = rewiredHelpers.__get__('doAnalysis');
             const config = {
@@ -394,40 +764,35 @@ describe('helpers.js', function() {
 
             const simpleDaoJSON = await util.promisify(fs.readFile)(jsonFiles[0], 'utf8');
             const mythXInput = mythx.truffle2MythXJSON(JSON.parse(simpleDaoJSON));
-            stubAnalyze.onFirstCall().resolves({
-                issues: [],
-                status: { status: 'Error' },
-            });
-            stubAnalyze.onSecondCall().resolves({
-                issues: [{
-                    'sourceFormat': 'evm-byzantium-bytecode',
-                    'sourceList': [
-                        `${__dirname}/sample-truffle/simple_dao/contracts/simple_dao.sol`
-                    ],
-                    'sourceType': 'raw-bytecode',
-                    'issues': [{
-                        'description': {
-                            'head': 'Head message',
-                            'tail': 'Tail message'
-                        },
-                        'locations': [{
-                            'sourceMap': '444:1:0'
-                        }],
-                        'severity': 'High',
-                        'swcID': 'SWC-000',
-                        'swcTitle': 'Test Title'
-                    }],
-                    'meta': {
-                        'selected_compiler': '0.5.0',
-                        'error': [],
-                        'warning': []
+            stubStatus.onFirstCall().resolves({ status: 'Error' });
+            stubStatus.onSecondCall().resolves({ status: 'Pending' });
+            stubIssues.resolves([{
+                'sourceFormat': 'evm-byzantium-bytecode',
+                'sourceList': [
+                    `${__dirname}/sample-truffle/simple_dao/contracts/simple_dao.sol`
+                ],
+                'sourceType': 'raw-bytecode',
+                'issues': [{
+                    'description': {
+                        'head': 'Head message',
+                        'tail': 'Tail message'
                     },
+                    'locations': [{
+                        'sourceMap': '444:1:0'
+                    }],
+                    'severity': 'High',
+                    'swcID': 'SWC-000',
+                    'swcTitle': 'Test Title'
                 }],
-                status: {status: 'Pending' },
-            });
+                'meta': {
+                    'selected_compiler': '0.5.0',
+                    'error': [],
+                    'warning': []
+                },
+            }]);
             const results = await doAnalysis(armletClient, config, jsonFiles);
             mythXInput.analysisMode = 'quick';
-            assert.ok(stubAnalyze.calledWith({
+            assert.ok(stubSubmit.calledWith(armletClient, {
                 data: mythXInput,
                 timeout: 120000,
                 clientToolName: 'truffle',
@@ -436,6 +801,81 @@ describe('helpers.js', function() {
             assert.equal(results.objects.length, 1);
         });
 
+        it('should submit the sources of imported files', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                logger: {},
+                progress: false,
+                style: 'test-style',
+            }
+            const buildDir = `${__dirname}/sample-truffle/sample_import/build/contracts`;
+            const jsonFiles = [
+                `${buildDir}/TestToken.json`,
+                `${buildDir}/Token.json`,
+            ];
+            await doAnalysis(armletClient, config, jsonFiles, ['TestToken']);
+            assert.ok(stubSubmit.calledOnce);
+            const { data } = stubSubmit.getCall(0).args[1];
+            assert.deepEqual(Object.keys(data.sources), ['exercise1_solution.sol', 'token.sol']);
+            assert.equal(data.sourceList.length, 3);
+        });
+
+        it('should select and report contracts compiled elsewhere by their paths in this project', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const projectDir = `${__dirname}/sample-truffle/simple_dao`;
+            const config = {
+                _: [],
+                working_directory: projectDir,
+                contracts_directory: `${projectDir}/contracts`,
+                cache: false,
+                logger: {debug: debuggerStub},
+                progress: false,
+            };
+            const jsonFiles = [
+                `${projectDir}/build/contracts/SimpleDAO.json`,
+            ];
+            stubIssues.resolves([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [ `${projectDir}/contracts/simple_dao.sol` ],
+                'issues': [{
+                    'description': { 'head': 'Head message', 'tail': 'Tail message' },
+                    'locations': [{ 'sourceMap': '310:23:0' }],
+                    'severity': 'High',
+                    'swcID': 'SWC-101',
+                    'swcTitle': 'Integer Overflow and Underflow',
+                }],
+            }]);
+
+            for (const selector of ['contracts/simple_dao.sol', 'contracts/**/*.sol', 'contracts/simple_dao.sol:SimpleDAO']) {
+                const results = await doAnalysis(armletClient, config, jsonFiles, [ selector ]);
+                assert.equal(results.objects.length, 1, selector);
+                const [ report ] = results.objects[0].getEslintIssues();
+                assert.equal(report.filePath, `${projectDir}/contracts/simple_dao.sol`);
+                assert.equal(report.messages[0].line, 12);
+            }
+            assert.equal(stubSubmit.callCount, 3);
+        });
+
+        it('should skip excluded smart contracts', async () => {
+            const doAnalysis = rewiredHelpers.__get__('doAnalysis');
+            const config = {
+                _: [],
+                exclude: ['SimpleDAO'],
+                logger: {},
+                progress: false,
+                style: 'test-style',
+            }
+            const jsonFiles = [
+                `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+            ];
+
+            const results = await doAnalysis(armletClient, config, jsonFiles);
+            assert.ok(!stubSubmit.called);
+            assert.equal(results.objects.length, 0);
+        });
+
         it('should skip unwanted smart contract', async () => {
             const doAnalysis = rewiredHelpers.__get__('doAnalysis');
             const config = {
@@ -449,12 +889,410 @@ describe('helpers.js', function() {
             ];
 
             const results = await doAnalysis(armletClient, config, jsonFiles, ['UnkonwnContract']);
-            assert.ok(!stubAnalyze.called);
+            assert.ok(!stubSubmit.called);
             assert.equal(results.errors.length, 0);
             assert.equal(results.objects.length, 0);
         });
     });
 
+    describe('submit and collect', () => {
+        const jsonFiles = [
+            `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+        ];
+        let helpers, client, submitAnalysis, getStatus, getIssues, config;
+
+        beforeEach(() => {
+            helpers = rewire('../helpers');
+            client = new armlet.Client({ apiKey: 'test' });
+            submitAnalysis = sinon.stub().resolves('uuid-1');
+            getStatus = sinon.stub();
+            getIssues = sinon.stub();
+            helpers.__set__({
+                submit: { submitAnalysis, getStatus, getIssues },
+                pollInterval: 0,
+            });
+            config = {
+                _: [],
+                logger: { log: sinon.stub(), debug: sinon.stub() },
+            };
+        });
+
+        it('should submit analyses without waiting for them', async () => {
+            config.mode = 'full';
+
+            const doSubmit = helpers.__get__('doSubmit');
+            const { analyses, errors } = await doSubmit(client, config, jsonFiles);
+            assert.deepEqual(analyses.map(({ contractName, uuid }) => [ contractName, uuid ]), [[ 'SimpleDAO', 'uuid-1' ]]);
+            assert.ok(/^[0-9a-f]{64}$/.test(analyses[0].payloadHash));
+            assert.deepEqual(errors, []);
+            assert.equal(submitAnalysis.getCall(0).args[1].data.analysisMode, 'full');
+        });
+
+        it('should map collected results through the build artifacts', async () => {
+            getStatus.resolves({ status: 'Finished' });
+            getIssues.resolves([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [ 'simple_dao.sol' ],
+                'issues': [{
+                    'description': { 'head': 'Head message', 'tail': 'Tail message' },
+                    'locations': [{ 'sourceMap': '310:23:0' }],
+                    'severity': 'High',
+                    'swcID': 'SWC-101',
+                    'swcTitle': 'Integer Overflow and Underflow',
+                }],
+            }]);
+            const manifestObj = {
+                mode: 'full',
+                analyses: [
+                    { contractName: 'SimpleDAO', uuid: 'uuid-1' },
+                    { contractName: 'Missing', uuid: 'uuid-2' },
+                ],
+            };
+
+            const doCollect = helpers.__get__('doCollect');
+            const { objects, errors } = await doCollect(client, config, manifestObj, jsonFiles);
+            assert.ok(getIssues.calledWith(client, 'uuid-1'));
+            assert.equal(objects.length, 1);
+            assert.equal(objects[0].uuid, 'uuid-1');
+            assert.equal(objects[0].mode, 'full');
+            assert.equal(objects[0].getEslintIssues()[0].messages[0].line, 12);
+            assert.deepEqual(errors, ['No build artifact found for Missing, analysis uuid-2.']);
+        });
+
+        it('should not map results through build artifacts that changed since they were submitted', async () => {
+            config.mode = 'full';
+            const doSubmit = helpers.__get__('doSubmit');
+            const { analyses } = await doSubmit(client, config, jsonFiles);
+            getStatus.resolves({ status: 'Finished' });
+            getIssues.resolves([]);
+
+            const doCollect = helpers.__get__('doCollect');
+            let { objects, errors } = await doCollect(client, config, { mode: 'full', analyses }, jsonFiles);
+            assert.equal(objects.length, 1);
+            assert.deepEqual(errors, []);
+
+            const changed = [{ contractName: 'SimpleDAO', uuid: 'uuid-1', payloadHash: '0'.repeat(64) }];
+            ({ objects, errors } = await doCollect(client, config, { mode: 'full', analyses: changed }, jsonFiles));
+            assert.equal(objects.length, 0);
+            assert.ok(/^The build artifacts of SimpleDAO changed since analysis uuid-1 was submitted/.test(errors[0]));
+            assert.equal(getIssues.callCount, 1);
+        });
+
+        it('should report analyses that are not finished in time', async () => {
+            getStatus.resolves({ status: 'In progress' });
+            config.timeout = 0.01;
+            const manifestObj = { mode: 'quick', analyses: [{ contractName: 'SimpleDAO', uuid: 'uuid-1' }] };
+
+            const doCollect = helpers.__get__('doCollect');
+            const { objects, errors, timeouts, outcomes } = await doCollect(client, config, manifestObj, jsonFiles);
+            assert.ok(!getIssues.called);
+            assert.equal(objects.length, 0);
+            assert.equal(errors.length, 0);
+            assert.deepEqual(timeouts, [{ contractName: 'SimpleDAO', uuid: 'uuid-1' }]);
+            assert.equal(outcomes[0].outcome, 'timed out');
+        });
+
+        it('should return error when the manifest cannot be read', async () => {
+            config.collect = '/nonexistent/manifest.json';
+            const exitCode = await helpers.analyze(config);
+            assert.ok(/^Cannot read manifest \/nonexistent\/manifest.json/.test(config.logger.log.getCall(0).args[0]));
+            assert.equal(exitCode, helpers.exitCodes.analysisErrors);
+        });
+
+        it('should return error when the build artifacts cannot be read', async () => {
+            const manifestFile = path.join(os.tmpdir(), `mythx-manifest-${process.pid}.json`);
+            fs.writeFileSync(manifestFile, JSON.stringify({
+                version: 1, mode: 'quick', analyses: [{ contractName: 'SimpleDAO', uuid: 'uuid-1' }],
+            }));
+            config.collect = manifestFile;
+            config.contracts_build_directory = '/nonexistent/build/contracts';
+
+            const exitCode = await helpers.analyze(config);
+            assert.ok(config.logger.log.calledWith(sinon.match(
+                /^Cannot read the build artifacts in \/nonexistent\/build\/contracts: /)));
+            assert.equal(exitCode, helpers.exitCodes.analysisErrors);
+            fs.unlinkSync(manifestFile);
+        });
+
+        it('should return error when the manifest cannot be written', async () => {
+            const scan = sinon.stub(trufstuf, 'scanTruffleBuildJsonFiles').resolves({ files: jsonFiles, skipped: [] });
+            helpers.__set__('contractsCompile', sinon.stub());
+            Object.assign(config, {
+                'submit-only': true,
+                manifest: '/nonexistent/mythx-manifest.json',
+                contracts_build_directory: '/nonexistent/build/contracts',
+            });
+
+            try {
+                const exitCode = await helpers.analyze(config);
+                assert.ok(config.logger.log.calledWith(sinon.match(
+                    /^Cannot write manifest \/nonexistent\/mythx-manifest.json: /)));
+                assert.equal(exitCode, helpers.exitCodes.analysisErrors);
+            } finally {
+                scan.restore();
+            }
+        });
+    });
+
+    describe('login', () => {
+        let listAnalyses, getStore, saveCredentials, helpers, config;
+
+        beforeEach(() => {
+            listAnalyses = sinon.stub(armlet.Client.prototype, 'listAnalyses');
+            helpers = rewire('../helpers');
+            getStore = sinon.stub().returns({ path: '/home/me/.config/configstore/truffle-security.json' });
+            saveCredentials = sinon.stub();
+            helpers.__set__('credentials', Object.assign({}, require('../lib/credentials'), {
+                getStore,
+                saveCredentials,
+            }));
+            config = { logger: { log: sinon.stub() } };
+        });
+
+        afterEach(() => {
+            listAnalyses.restore();
+        });
+
+        it('should check and save an email and password', async () => {
+            listAnalyses.resolves({ analyses: [] });
+            const ask = sinon.stub();
+            ask.onCall(0).resolves('');
+            ask.onCall(1).resolves('me@example.com');
+            ask.onCall(2).resolves('secret');
+
+            const doLogin = helpers.__get__('doLogin');
+            const exitCode = await doLogin(config, ask);
+            assert.equal(exitCode, helpers.exitCodes.ok);
+            assert.ok(ask.getCall(2).args[1], 'the password should not be echoed');
+            assert.deepEqual(saveCredentials.getCall(0).args[1], { email: 'me@example.com', password: 'secret' });
+            assert.ok(config.logger.log.getCall(0).args[0].startsWith('Logged in as me@example.com.'));
+        });
+
+        it('should not save credentials that MythX rejects', async () => {
+            listAnalyses.rejects('Invalid MythX credentials given.');
+            const ask = sinon.stub().resolves('bad-key');
+
+            const doLogin = helpers.__get__('doLogin');
+            const exitCode = await doLogin(config, ask);
+            assert.equal(exitCode, helpers.exitCodes.analysisErrors);
+            assert.ok(!saveCredentials.called);
+            assert.ok(config.logger.log.getCall(0).args[0].startsWith('Login failed'));
+        });
+
+        it('should warn about the trial account in --whoami', async () => {
+            listAnalyses.resolves({ analyses: [] });
+            const doWhoami = helpers.__get__('doWhoami');
+            const exitCode = await doWhoami(config, {
+                armletOptions: {},
+                source: 'trial',
+                identity: 'MythX trial user',
+            });
+            assert.equal(exitCode, helpers.exitCodes.ok);
+            const lines = config.logger.log.args.map(args => args[0]);
+            assert.equal(lines[0], 'Identity:     MythX trial user');
+            assert.equal(lines[2], 'Analyses:     quick mode, 120 second timeout, up to 10 at a time');
+            assert.ok(/You are using the MythX trial account/.test(lines[3]));
+            assert.equal(lines[4], 'MythX accepts these credentials.');
+        });
+    });
+
+    describe('list and status', () => {
+        let buildDir, historyFile, client, listAnalyses, getStatus, config;
+
+        beforeEach(() => {
+            buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+            historyFile = path.join(buildDir, 'mythx-history.json');
+            fs.writeFileSync(historyFile, JSON.stringify([
+                { uuid: 'uuid-1', contractName: 'Token', mode: 'full', status: 'Submitted',
+                  submittedAt: '2019-03-01T10:00:00.000Z' },
+                { uuid: 'uuid-2', contractName: 'Ownable', mode: 'quick', status: 'Finished',
+                  submittedAt: '2019-03-02T10:00:00.000Z' },
+            ]));
+            client = new armlet.Client({ apiKey: 'test' });
+            listAnalyses = sinon.stub(client, 'listAnalyses');
+            getStatus = sinon.stub(client, 'getStatus');
+            config = {
+                build_directory: buildDir,
+                logger: { log: sinon.stub() },
+            };
+        });
+
+        afterEach(() => {
+            fs.unlinkSync(historyFile);
+            fs.rmdirSync(buildDir);
+        });
+
+        it('should list analyses from MythX and the local history, newest first', async () => {
+            listAnalyses.resolves({
+                analyses: [
+                    { uuid: 'uuid-1', status: 'Finished', submittedAt: '2019-03-01T10:00:00.000Z' },
+                    { uuid: 'uuid-3', status: 'Error', submittedAt: '2019-03-03T10:00:00.000Z' },
+                ],
+                total: 2,
+            });
+            const doList = rewiredHelpers.__get__('doList');
+            const exitCode = await doList(client, config);
+            assert.equal(exitCode, rewiredHelpers.exitCodes.ok);
+            assert.deepEqual(config.logger.log.getCall(0).args[0].split('\n'), [
+                'UUID    Contract  Mode   Status    Submitted',
+                'uuid-3  -         -      Error     2019-03-03T10:00:00.000Z',
+                'uuid-2  Ownable   quick  Finished  2019-03-02T10:00:00.000Z',
+                'uuid-1  Token     full   Finished  2019-03-01T10:00:00.000Z',
+            ]);
+        });
+
+        it('should list the local history when MythX cannot be reached', async () => {
+            listAnalyses.rejects(new Error('socket hang up'));
+            const doList = rewiredHelpers.__get__('doList');
+            const exitCode = await doList(client, config);
+            assert.equal(exitCode, rewiredHelpers.exitCodes.analysisErrors);
+            assert.ok(/socket hang up/.test(config.logger.log.getCall(0).args[0]));
+            assert.equal(config.logger.log.getCall(1).args[0].split('\n').length, 3);
+        });
+
+        it('should show the status of an analysis and update the history', async () => {
+            getStatus.resolves({
+                uuid: 'uuid-1',
+                status: 'In progress',
+                submittedAt: '2019-03-01T10:00:00.000Z',
+                queueTime: 12,
+            });
+            const doStatus = rewiredHelpers.__get__('doStatus');
+            const exitCode = await doStatus(client, config, 'uuid-1');
+            assert.equal(exitCode, rewiredHelpers.exitCodes.ok);
+            assert.deepEqual(config.logger.log.args.map(args => args[0]), [
+                'UUID:         uuid-1',
+                'Contract:     Token',
+                'Mode:         full',
+                'Status:       In progress',
+                'Submitted:    2019-03-01T10:00:00.000Z',
+                'Queue time:   12 ms',
+            ]);
+            const history = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+            assert.equal(history[0].status, 'In progress');
+        });
+    });
+
+    describe('uuid reports', () => {
+        const jsonFiles = [
+            `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`,
+        ];
+        const results = [{
+            'sourceType': 'solidity-file',
+            'sourceFormat': 'text',
+            'sourceList': [ '/other/machine/contracts/simple_dao.sol' ],
+            'issues': [{
+                'description': { 'head': 'Head message', 'tail': 'Tail message' },
+                'locations': [{ 'sourceMap': '310:23:0' }],
+                'severity': 'High',
+                'swcID': 'SWC-101',
+                'swcTitle': 'Integer Overflow and Underflow',
+            }],
+        }];
+        const config = {
+            contracts_build_directory: '/build/contracts',
+            logger: { log: () => {} },
+        };
+        let scanTruffleBuildJsonFilesStub;
+
+        beforeEach(() => {
+            scanTruffleBuildJsonFilesStub = sinon.stub(trufstuf, 'scanTruffleBuildJsonFiles')
+                .resolves({ files: [], skipped: jsonFiles.map(file => ({ file, reason: 'changed' })) });
+        });
+
+        afterEach(() => {
+            scanTruffleBuildJsonFilesStub.restore();
+        });
+
+        it('should map results to the build artifact of the named contract', async () => {
+            const uuid2MythXIssues = rewiredHelpers.__get__('uuid2MythXIssues');
+            const obj = await uuid2MythXIssues(config, 'uuid-1', results, ['SimpleDAO']);
+            assert.equal(obj.contractName, 'SimpleDAO');
+            assert.equal(obj.uuid, 'uuid-1');
+            assert.equal(obj.getEslintIssues()[0].messages[0].line, 12);
+        });
+
+        it('should find the contract from the analyzed sources', async () => {
+            const uuid2MythXIssues = rewiredHelpers.__get__('uuid2MythXIssues');
+            const obj = await uuid2MythXIssues(config, 'uuid-1', results, null);
+            assert.equal(obj.contractName, 'SimpleDAO');
+        });
+
+        it('should give up when the build artifact is not found', async () => {
+            const uuid2MythXIssues = rewiredHelpers.__get__('uuid2MythXIssues');
+            assert.equal(await uuid2MythXIssues(config, 'uuid-1', results, ['Token']), null);
+        });
+
+        it('should list issues with their raw source maps', () => {
+            const listIssues = rewiredHelpers.__get__('listIssues');
+            const logger = sinon.stub();
+            listIssues(logger, results);
+            assert.deepEqual(logger.args.map(args => args[0]), [
+                '/other/machine/contracts/simple_dao.sol',
+                '  SWC-101  High    Integer Overflow and Underflow',
+                '           Head message',
+                '           Tail message',
+                '           source map: 310:23:0',
+                '',
+            ]);
+        });
+
+        it('should list issues without an SWC ID', () => {
+            const listIssues = rewiredHelpers.__get__('listIssues');
+            const logger = sinon.stub();
+            listIssues(logger, [{
+                sourceType: 'raw-bytecode',
+                sourceList: [ '0x6080' ],
+                issues: [{
+                    description: { head: 'Head message' },
+                    locations: [],
+                    severity: 'Low',
+                }],
+            }]);
+            assert.deepEqual(logger.args.map(args => args[0]), [
+                '0x6080',
+                '  -        Low     ',
+                '           Head message',
+                '           source map: none',
+                '',
+            ]);
+        });
+    });
+
+    describe('prepareVyper', () => {
+        const prepareVyper = rewiredHelpers.__get__('prepareVyper');
+        let config;
+
+        beforeEach(() => {
+            sinon.stub(vyper, 'findVyperSources').returns(['/project/contracts/Wallet.vy']);
+            config = {
+                contracts_directory: '/project/contracts',
+                compilers: { solc: {}, vyper: {} },
+                logger: { log: sinon.stub() },
+            };
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should ask vyper for source maps', async () => {
+            sinon.stub(vyper, 'getVyperVersion').resolves('0.1.0b10');
+            await prepareVyper(config);
+            assert.deepEqual(config.compilers.vyper, { settings: { sourceMap: true } });
+            assert.ok(!config.logger.log.called);
+        });
+
+        it('should leave Vyper contracts out when vyper is not installed', async () => {
+            sinon.stub(vyper, 'getVyperVersion').resolves(null);
+            await prepareVyper(config);
+            assert.deepEqual(config.compilers, { solc: {} });
+            assert.ok(/^The vyper compiler was not found, so these Vyper contracts are not compiled or analyzed: Wallet.vy\./
+                .test(config.logger.log.getCall(0).args[0]));
+        });
+    });
+
     describe('cleanAnalyDataEmptyProps', () => {
         const contractJSON = `${__dirname}/sample-truffle/simple_dao/build/contracts/SimpleDAO.json`;
         let truffleJSON;
@@ -544,6 +1382,185 @@ describe('helpers.js', function() {
         });
     });
 
+    describe('getReportTargets', () => {
+        it('should print a stylish report by default', () => {
+            assert.deepEqual(rewiredHelpers.getReportTargets({}), [
+                { style: 'stylish', output: undefined },
+            ]);
+        });
+
+        it('should pair styles with outputs by position', () => {
+            const config = {
+                style: ['stylish', 'json', 'sarif'],
+                output: ['report.txt', 'report.json'],
+            };
+            assert.deepEqual(rewiredHelpers.getReportTargets(config), [
+                { style: 'stylish', output: 'report.txt' },
+                { style: 'json', output: 'report.json' },
+                { style: 'sarif', output: undefined },
+            ]);
+        });
+
+        it('should use stylish for an output without a style', () => {
+            assert.deepEqual(rewiredHelpers.getReportTargets({ output: 'report.txt' }), [
+                { style: 'stylish', output: 'report.txt' },
+            ]);
+        });
+    });
+
+    describe('doReport', () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+        });
+
+        const makeObject = () => ({
+            getEslintIssues: () => [{
+                errorCount: 1,
+                warningCount: 0,
+                fixableErrorCount: 0,
+                fixableWarningCount: 0,
+                filePath: '/tmp/contracts/sol1.sol',
+                messages: [{
+                    ruleId: 'SWC-107',
+                    line: 3,
+                    column: 4,
+                    endLine: 3,
+                    endCol: 10,
+                    fatal: false,
+                    message: 'Reentrancy',
+                    mythXseverity: 'High',
+                    severity: 2,
+                }],
+            }],
+        });
+
+        it('should write reports to files and print a summary', () => {
+            const doReport = rewiredHelpers.__get__('doReport');
+            const loggerStub = sinon.stub();
+            const output = path.join(tmpDir, 'reports', 'verify.json');
+            const config = {
+                style: 'json',
+                output,
+                logger: { log: loggerStub, error: sinon.stub() },
+            };
+
+            doReport(config, [ makeObject() ], [], []);
+            const written = JSON.parse(fs.readFileSync(output, 'utf8'));
+            assert.equal(written[0].messages[0].ruleId, 'SWC-107');
+            assert.equal(loggerStub.getCall(0).args[0], `Wrote json report to ${output}`);
+            assert.equal(loggerStub.getCall(1).args[0], '1 issue found (1 High, 0 Medium, 0 Low) in 1 file');
+        });
+
+        it('should go on with the other reports when one cannot be written', () => {
+            const doReport = rewiredHelpers.__get__('doReport');
+            const output = path.join(__filename, 'verify.json');
+            const config = {
+                style: ['json', 'compact'],
+                output: [output],
+                logger: { log: sinon.stub(), error: sinon.stub() },
+            };
+            const writeErrors = [];
+
+            const reported = doReport(config, [ makeObject() ], [], [], writeErrors);
+            assert.equal(writeErrors.length, 1);
+            assert.ok(config.logger.error.calledWith(sinon.match(`Could not write json report to ${output}: `)));
+            assert.ok(config.logger.log.calledWith(sinon.match('Reentrancy')));
+            assert.equal(reported.length, 1);
+        });
+
+        it('should start stylish reports with the analysis mode', () => {
+            const doReport = rewiredHelpers.__get__('doReport');
+            const loggerStub = sinon.stub();
+            const config = {
+                style: 'stylish',
+                logger: { log: loggerStub, error: sinon.stub() },
+            };
+            const obj = Object.assign(makeObject(), { contractName: 'Token', mode: 'full' });
+
+            doReport(config, [ obj ], [], []);
+            assert.ok(loggerStub.getCall(0).args[0].startsWith('MythX full analysis of 1 contract\n'));
+        });
+
+        it('should list the contracts of each mode when modes differ', () => {
+            const describeModes = rewiredHelpers.__get__('describeModes');
+            assert.equal(describeModes([
+                { contractName: 'A', mode: 'quick' },
+                { contractName: 'B', mode: 'full' },
+                { contractName: 'C', mode: 'quick' },
+            ]), 'MythX analyses: quick (A, C), full (B)');
+        });
+
+        it('should print reports without an output on the console', () => {
+            const doReport = rewiredHelpers.__get__('doReport');
+            const loggerStub = sinon.stub();
+            const output = path.join(tmpDir, 'verify.json');
+            const config = {
+                style: ['json', 'unix'],
+                output: [ output ],
+                logger: { log: loggerStub, error: sinon.stub() },
+            };
+
+            doReport(config, [ makeObject() ], [], []);
+            assert.ok(fs.existsSync(output));
+            assert.equal(loggerStub.callCount, 2);
+            assert.ok(loggerStub.getCall(1).args[0].includes('SWC-107'));
+        });
+    });
+
+    describe('formatOutcomes', () => {
+        it('should show the outcome of each analysis', () => {
+            const formatOutcomes = rewiredHelpers.__get__('formatOutcomes');
+            assert.deepEqual(formatOutcomes([
+                { contractName: 'Token', outcome: 'completed', uuid: 'uuid-1', detail: 'cached' },
+                { contractName: 'Crowdsale', outcome: 'timed out', uuid: 'uuid-2' },
+                { contractName: 'Ownable', outcome: 'failed', detail: 'socket hang up\nat ...' },
+            ]), [
+                'Contract   Status     UUID    Details',
+                'Token      completed  uuid-1  cached',
+                'Crowdsale  timed out  uuid-2  fetch later with: truffle run verify --uuid uuid-2 Crowdsale',
+                'Ownable    failed     -       socket hang up',
+            ]);
+        });
+    });
+
+    describe('getExitCode', () => {
+        const eslintIssues = [{
+            filePath: '/tmp/contracts/sol1.sol',
+            messages: [
+                { ruleId: 'SWC-101', mythXseverity: 'Medium' },
+                { ruleId: 'SWC-103', mythXseverity: 'Low' },
+            ],
+        }];
+
+        it('should fail only on issues at or above the threshold', () => {
+            const { exitCodes, getExitCode } = rewiredHelpers;
+            assert.equal(getExitCode('high', eslintIssues, []), exitCodes.ok);
+            assert.equal(getExitCode('medium', eslintIssues, []), exitCodes.issuesFound);
+            assert.equal(getExitCode('low', eslintIssues, []), exitCodes.issuesFound);
+        });
+
+        it('should fail on issues of any severity with "any"', () => {
+            const { exitCodes, getExitCode } = rewiredHelpers;
+            const issues = [{ messages: [{ ruleId: 'SWC-103', mythXseverity: '' }] }];
+            assert.equal(getExitCode('any', issues, []), exitCodes.issuesFound);
+            assert.equal(getExitCode('low', issues, []), exitCodes.ok);
+        });
+
+        it('should not fail on issues with "none" or no threshold', () => {
+            const { exitCodes, getExitCode } = rewiredHelpers;
+            assert.equal(getExitCode('none', eslintIssues, []), exitCodes.ok);
+            assert.equal(getExitCode(undefined, eslintIssues, []), exitCodes.ok);
+        });
+
+        it('should report analysis errors with their own exit status', () => {
+            const { exitCodes, getExitCode } = rewiredHelpers;
+            assert.equal(getExitCode('none', [], [ new Error('timeout') ]), exitCodes.analysisErrors);
+            assert.equal(getExitCode('medium', eslintIssues, [ new Error('timeout') ]), exitCodes.analysisErrors);
+        });
+    });
+
     describe('getNotFoundContracts', () => {
         it('should collect contract names which are not found in truffle build contracts directory', () => {
             const objects = [
@@ -555,6 +1572,15 @@ describe('helpers.js', function() {
             assert.deepEqual(result, ['NotFoundContract']);
         });
 
+        it('should find contracts by path and qualified name, analyzed or not', () => {
+            const simpleDAO = { contractName: 'SimpleDAO', sourcePath: '/project/contracts/simple_dao.sol' };
+            const token = { contractName: 'Token', sourcePath: '/project/contracts/token.sol' };
+            const selectors = ['contracts/**/*.sol', 'simple_dao.sol:SimpleDAO', 'token.sol:Token', 'Missing'];
+
+            const result = rewiredHelpers.getNotFoundContracts([ simpleDAO ], selectors, '/project', [ token ]);
+            assert.deepEqual(result, ['Missing']);
+        });
+
         it('should return empty array when contracts parameter is not passed', () => {
             const objects = [
                 { contractName: 'Contract1' },
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const history = require('../lib/history');
+
+
+describe('history', () => {
+    let tmpDir;
+    let file;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+        file = path.join(tmpDir, history.historyFileName);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+        fs.rmdirSync(tmpDir);
+    });
+
+    it('should keep the history in the build directory', () => {
+        assert.equal(history.getHistoryFile({ contracts_build_directory: '/project/build/contracts' }),
+            '/project/build/mythx-history.json');
+        assert.equal(history.getHistoryFile({}), null);
+    });
+
+    it('should record analyses and update them by UUID', () => {
+        assert.deepEqual(history.readHistory(file), []);
+
+        history.recordAnalysis(file, { uuid: 'uuid-1', contractName: 'Token', mode: 'quick', status: 'Submitted' });
+        history.recordAnalysis(file, { uuid: 'uuid-2', contractName: 'Ownable', mode: 'full', status: 'Finished' });
+        history.recordAnalysis(file, { uuid: 'uuid-1', status: 'Finished' });
+
+        const recorded = history.readHistory(file);
+        assert.equal(recorded.length, 2);
+        assert.equal(recorded[0].contractName, 'Token');
+        assert.equal(recorded[0].status, 'Finished');
+        assert.ok(recorded[0].submittedAt);
+        assert.equal(history.findAnalysis(file, 'uuid-2').mode, 'full');
+        assert.equal(history.findAnalysis(file, 'uuid-3'), undefined);
+    });
+
+    it('should not record undefined fields', () => {
+        history.recordAnalysis(file, { uuid: 'uuid-1', contractName: 'Token', status: 'Submitted', submittedAt: undefined });
+        const { submittedAt } = history.findAnalysis(file, 'uuid-1');
+        assert.ok(submittedAt);
+
+        history.recordAnalysis(file, { uuid: 'uuid-1', status: 'Finished', submittedAt: undefined });
+        assert.deepEqual(history.findAnalysis(file, 'uuid-1'), {
+            uuid: 'uuid-1', contractName: 'Token', status: 'Finished', submittedAt,
+        });
+    });
+});
@@ -27,5 +27,17 @@ describe('index.js', function() {
         assert.ok(stub.called);
     });
 
-
+    it('should set the exit status returned by the analysis', async () => {
+        sinon.restore();
+        const stub = sinon.stub(helpers, 'analyze').resolves(helpers.exitCodes.issuesFound);
+        const pluginAnalyze = require('../index');
+        try {
+            await pluginAnalyze({ compilers: {} });
+            assert.ok(stub.called);
+            assert.equal(process.exitCode, helpers.exitCodes.issuesFound);
+        } finally {
+            process.exitCode = undefined;
+            stub.restore();
+        }
+    });
 });
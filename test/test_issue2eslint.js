@@ -83,10 +83,55 @@ describe('issues2Eslint', function() {
                 message: 'Head message Tail message',
                 mythXseverity: 'High',
                 severity: 2,
+                sourceMap: '444:1:0',
+                byteRange: [310, 333],
+                fileIndex: 1,
             },
             res);
         });
 
+        it('should put locations without a usable file index in the contract\'s own source', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            const issue = sourceMap => ({
+                'description': {
+                    'head': 'Head message',
+                    'tail': 'Tail message'
+                },
+                'locations': [{ sourceMap }],
+                'severity': 'Low',
+                'swcID': 'SWC-000',
+                'swcTitle': 'Test Title'
+            });
+            issuesObject.setIssues([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                // Index 0 is padding: the contract's source has index 1.
+                'sourceList': issuesObject.buildObj.sourceList,
+                'issues': [ issue('100:10'), issue('100:10:-1') ],
+            }]);
+
+            const results = issuesObject.getEslintIssues();
+            assert.deepEqual(results.map(({ filePath }) => filePath), [ truffleJSON.sourcePath ]);
+            assert.deepEqual(results[0].messages.map(({ line, column }) => [ line, column ]), [ [3, 10], [3, 10] ]);
+        });
+
+        it('should flag locations in sources we don\'t have as unknown', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            const issue = {
+                'description': {
+                    'head': 'Head message',
+                    'tail': 'Tail message'
+                },
+                'severity': 'Low',
+                'swcID': 'SWC-000',
+                'sourceMap': '100:10:0',
+            };
+            const res = issuesObject.issue2EsLint(issue, true, 'text', '/elsewhere/other.sol');
+            assert.deepEqual([ res.line, res.column, res.locationUnknown, res.byteRange ],
+                             [ 0, 0, true, [100, 110] ]);
+            assert.equal(res.message, 'Head message [location unknown: 100:10:0]');
+        });
+
         it('should convert MythX issue to Eslint style with sourceFormat: text', () => {
             const mythXOutput = {
                 'sourceType': 'solidity-file',
@@ -127,10 +172,86 @@ describe('issues2Eslint', function() {
                 message: 'Head message Tail message',
                 mythXseverity: 'High',
                 severity: 2,
+                sourceMap: '310:23:0',
+                byteRange: [310, 333],
+                fileIndex: 0,
             }, res);
         });
 
 
+        it('should map a bytecode offset to the imported file it refers to', () => {
+            const buildDir = `${__dirname}/sample-truffle/sample_import/build/contracts`;
+            const buildObjs = fs.readdirSync(buildDir)
+                .map(file => JSON.parse(fs.readFileSync(`${buildDir}/${file}`, 'utf8')));
+            const testToken = buildObjs.find(({ contractName }) => contractName === 'TestToken');
+            const token = buildObjs.find(({ contractName }) => contractName === 'Token');
+            const issuesObject = new MythXIssues(testToken, buildObjs);
+            issuesObject.setIssues([{
+                'sourceFormat': 'evm-byzantium-bytecode',
+                'sourceList': [ testToken.sourcePath ],
+                'sourceType': 'raw-bytecode',
+                'issues': [{
+                    'description': {
+                        'head': 'Head message',
+                        'tail': 'Tail message'
+                    },
+                    'locations': [{
+                        'sourceMap': '434:1:0'
+                    }],
+                    'severity': 'Medium',
+                    'swcID': 'SWC-000',
+                    'swcTitle': 'Test Title'
+                }],
+            }]);
+
+            const result = issuesObject.getEslintIssues(true);
+            assert.equal(result.length, 1);
+            assert.equal(result[0].filePath, token.sourcePath);
+            assert.equal(result[0].messages[0].line, 12);
+            assert.equal(result[0].messages[0].column, 25);
+            assert.equal(result[0].messages[0].endCol, 35);
+        });
+
+        it('should keep all locations of an issue', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            issuesObject.setIssues([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [
+                    `/tmp/contracts/${sourceName}`,
+                ],
+                'issues': [{
+                    'description': {
+                        'head': 'Head message',
+                        'tail': 'Tail message'
+                    },
+                    'locations': [{
+                        'sourceMap': '310:23:0'
+                    }, {
+                        'sourceMap': '30:2:0'
+                    }],
+                    'severity': 'High',
+                    'swcID': 'SWC-000',
+                    'swcTitle': 'Test Title'
+                }],
+            }]);
+
+            const result = issuesObject.getEslintIssues(true);
+            assert.equal(result.length, 1);
+            assert.equal(result[0].messages.length, 1);
+            assert.equal(result[0].errorCount, 1);
+            assert.deepEqual(result[0].messages[0].relatedLocations, [{
+                filePath: `/tmp/contracts/${sourceName}`,
+                line: 2,
+                column: 27,
+                endLine: 2,
+                endCol: 29,
+                sourceMap: '30:2:0',
+                byteRange: [30, 32],
+                fileIndex: 0,
+            }]);
+        });
+
         it('should call isIgnorable correctly', () => {
             const spyIsVariableDeclaration = sinon.spy(srcmap, 'isVariableDeclaration');
             const spyIsDynamicArray = sinon.spy(srcmap, 'isDynamicArray');
@@ -220,10 +341,42 @@ describe('issues2Eslint', function() {
                     ruleId: 'SWC-000',
                     mythXseverity: 'High',
                     severity: 2,
+                    sourceMap: '310:23:0',
+                    byteRange: [310, 333],
+                    fileIndex: 0,
                 }],
             }]);
         });
 
+        it('should map issues in creation bytecode through the creation source map', () => {
+            const issuesObject = new MythXIssues(truffleJSON);
+            const bytecodeIssue = sourceList => ({
+                sourceType: 'raw-bytecode',
+                sourceFormat: 'evm-byzantium-bytecode',
+                sourceList,
+                issues: [{
+                    description: { head: 'Head message', tail: 'Tail message' },
+                    locations: [{ sourceMap: '10:1:0' }],
+                    severity: 'Medium',
+                    swcID: 'SWC-000',
+                    swcTitle: 'Test Title',
+                }],
+            });
+
+            issuesObject.setIssues([ bytecodeIssue([ mythx.bytecodeHash(truffleJSON.bytecode) ]) ]);
+            const [ creation ] = issuesObject.getEslintIssues(true);
+            assert.equal(creation.filePath, truffleJSON.sourcePath);
+            assert.deepEqual(creation.messages.map(({ line, endLine, message, creationCode }) =>
+                [line, endLine, message, creationCode]),
+                             [[8, 25, 'Head message (in constructor code)', true]]);
+
+            issuesObject.setIssues([ bytecodeIssue([ mythx.bytecodeHash(truffleJSON.deployedBytecode) ]) ]);
+            const [ deployed ] = issuesObject.getEslintIssues(true);
+            assert.deepEqual(deployed.messages.map(({ line, message, creationCode, locationUnknown }) =>
+                [line, message, creationCode, locationUnknown]),
+                             [[0, 'Head message [location unknown: 10:1:0]', undefined, true]]);
+        });
+
         it('It normalize and store mythX API output', () => {
             const issuesObject = new MythXIssues(truffleJSON);
             const mythXOutput = [{
@@ -270,6 +423,65 @@ describe('issues2Eslint', function() {
             }]);
         });
 
+        it('should drop issues with an ignored SWC ID', () => {
+            const issuesObject = new MythXIssues(truffleJSON, [], { 'ignore-swc': ['SWC-103'] });
+            issuesObject.setIssues([{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [
+                    `/tmp/contracts/${sourceName}`,
+                ],
+                'issues': [{
+                    'description': { 'head': 'Floating pragma', 'tail': '' },
+                    'locations': [{ 'sourceMap': '0:23:0' }],
+                    'severity': 'Low',
+                    'swcID': 'SWC-103',
+                    'swcTitle': 'Floating Pragma'
+                }, {
+                    'description': { 'head': 'Head message', 'tail': 'Tail message' },
+                    'locations': [{ 'sourceMap': '310:23:0' }],
+                    'severity': 'High',
+                    'swcID': 'SWC-000',
+                    'swcTitle': 'Test Title'
+                }],
+            }]);
+            assert.deepEqual(issuesObject.issues[0].issues.map(({ swcID }) => swcID), ['SWC-000']);
+        });
+
+        it('should leave out issues suppressed by inline comments', () => {
+            // Replace a line of the header comment by a suppression comment of the
+            // same length, so that source offsets stay the same.
+            const lines = truffleJSON.source.split('\n');
+            lines[3] = '/* mythx-disable SWC-000 */'.padEnd(lines[3].length);
+            truffleJSON.source = lines.join('\n');
+            const mythXOutput = [{
+                'sourceType': 'solidity-file',
+                'sourceFormat': 'text',
+                'sourceList': [
+                    `/tmp/contracts/${sourceName}`,
+                ],
+                'issues': [{
+                    'description': { 'head': 'Head message', 'tail': 'Tail message' },
+                    'locations': [{ 'sourceMap': '310:23:0' }],
+                    'severity': 'High',
+                    'swcID': 'SWC-000',
+                    'swcTitle': 'Test Title'
+                }],
+            }];
+
+            const issuesObject = new MythXIssues(truffleJSON);
+            issuesObject.setIssues(mythXOutput);
+            const result = issuesObject.getEslintIssues(true);
+            assert.deepEqual(result[0].messages, []);
+            assert.equal(result[0].errorCount, 0);
+            assert.equal(issuesObject.suppressedCount, 1);
+
+            const auditObject = new MythXIssues(truffleJSON, [], { 'inline-suppressions': false });
+            auditObject.setIssues(mythXOutput);
+            assert.equal(auditObject.getEslintIssues(true)[0].messages.length, 1);
+            assert.equal(auditObject.suppressedCount, 0);
+        });
+
         it('It converts mythX issues to ESLint issues output format', () => {
             const issuesObject = new MythXIssues(truffleJSON);
             const mythXOutput = [{
@@ -314,6 +526,9 @@ describe('issues2Eslint', function() {
                     mythXseverity: 'High',
                     severity: 2,
                     fatal: false,
+                    sourceMap: '310:23:0',
+                    byteRange: [310, 333],
+                    fileIndex: 0,
                 }],
             }])
         });
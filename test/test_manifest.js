@@ -0,0 +1,40 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const manifest = require('../lib/manifest');
+
+
+describe('manifest', () => {
+    let tmpDir;
+    let file;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+        file = path.join(tmpDir, manifest.defaultManifestFile);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+        fs.rmdirSync(tmpDir);
+    });
+
+    it('should write and read a manifest', () => {
+        const analyses = [{ contractName: 'Token', uuid: 'uuid-1' }];
+        manifest.writeManifest(file, 'full', analyses);
+
+        const read = manifest.readManifest(file);
+        assert.equal(read.mode, 'full');
+        assert.deepEqual(read.analyses, analyses);
+        assert.ok(read.submittedAt);
+    });
+
+    it('should throw when a file is not a manifest', () => {
+        fs.writeFileSync(file, JSON.stringify({ version: 1, analyses: [{ contractName: 'Token' }] }));
+        assert.throws(() => manifest.readManifest(file), /is not a manifest written by --submit-only/);
+        assert.throws(() => manifest.readManifest(path.join(tmpDir, 'missing.json')),
+            /^Error: Cannot read manifest/);
+    });
+});
@@ -1,5 +1,6 @@
 const assert = require('assert');
 const fs = require('fs');
+const path = require('path');
 const mythx = require('../lib/mythx');
 
 describe('mythx.js', () => {
@@ -15,7 +16,7 @@ describe('mythx.js', () => {
                 deployedBytecode: truffleJSON.deployedBytecode,
                 sourceMap: truffleJSON.sourceMap,
                 deployedSourceMap: truffleJSON.deployedSourceMap,
-                sourceList: [ truffleJSON.sourcePath ],
+                sourceList: [ '', truffleJSON.sourcePath ],
                 sources: {
                     'simple_dao.sol': {
                         source: truffleJSON.source,
@@ -29,6 +30,78 @@ describe('mythx.js', () => {
         });
     });
 
+    it('should include imported sources in the order of solc file indices', () => {
+        const buildDir = `${__dirname}/sample-truffle/sample_import/build/contracts`;
+        const buildObjs = fs.readdirSync(buildDir)
+            .map(file => JSON.parse(fs.readFileSync(`${buildDir}/${file}`, 'utf8')));
+        const testToken = buildObjs.find(({ contractName }) => contractName === 'TestToken');
+        const token = buildObjs.find(({ contractName }) => contractName === 'Token');
+
+        const mythXJSON = mythx.truffle2MythXJSON(testToken, 'test-truffle-analyze', buildObjs);
+
+        // Migrations.sol has index 0 but is not part of the unit.
+        assert.deepEqual(mythXJSON.sourceList, [
+            '',
+            testToken.sourcePath,
+            token.sourcePath,
+        ]);
+        assert.deepEqual(mythXJSON.sources, {
+            'exercise1_solution.sol': {
+                source: testToken.source,
+                ast: testToken.ast,
+            },
+            'token.sol': {
+                source: token.source,
+                ast: token.ast,
+            },
+        });
+    });
+
+    it('should name sources of the same file name apart', () => {
+        const buildObj = (sourcePath, index, absolutePath, imports = []) => ({
+            contractName: path.basename(sourcePath, '.sol'),
+            sourcePath,
+            source: `// ${sourcePath}`,
+            ast: {
+                absolutePath,
+                src: `0:10:${index}`,
+                nodes: imports.map(imported => ({ nodeType: 'ImportDirective', absolutePath: imported })),
+            },
+            compiler: { version: '0.5.0' },
+        });
+        const ownMath = buildObj('/project/contracts/SafeMath.sol', 1, 'contracts/SafeMath.sol');
+        const libMath = buildObj('/project/node_modules/openzeppelin-solidity/contracts/math/SafeMath.sol', 2,
+                                 'openzeppelin-solidity/contracts/math/SafeMath.sol');
+        const token = buildObj('/project/contracts/Token.sol', 0, 'contracts/Token.sol',
+                               [ 'contracts/SafeMath.sol', 'openzeppelin-solidity/contracts/math/SafeMath.sol' ]);
+
+        const mythXJSON = mythx.truffle2MythXJSON(token, 'test-truffle-analyze', [ token, ownMath, libMath ]);
+        assert.deepEqual(mythXJSON.sourceList, [ token.sourcePath, ownMath.sourcePath, libMath.sourcePath ]);
+        assert.deepEqual(Object.keys(mythXJSON.sources), [
+            'contracts/Token.sol',
+            'contracts/SafeMath.sol',
+            'node_modules/openzeppelin-solidity/contracts/math/SafeMath.sol',
+        ]);
+        assert.equal(mythXJSON.sources['node_modules/openzeppelin-solidity/contracts/math/SafeMath.sol'].source,
+                     libMath.source);
+    });
+
+    it('should collect build objects of a compilation unit once per source file', () => {
+        const buildDir = `${__dirname}/sample-truffle/sample_import/build/contracts`;
+        const buildObjs = fs.readdirSync(buildDir)
+            .map(file => JSON.parse(fs.readFileSync(`${buildDir}/${file}`, 'utf8')));
+        const token = buildObjs.find(({ contractName }) => contractName === 'Token');
+
+        const unit = mythx.getDependencyBuildObjs(token, buildObjs);
+        assert.deepEqual(unit.map(({ sourcePath }) => sourcePath), [ token.sourcePath ]);
+    });
+
+    it('should get the solc file index of a source unit', () => {
+        assert.equal(mythx.getSourceIndex({ src: '0:371:2' }), 2);
+        assert.equal(mythx.getSourceIndex({}), -1);
+        assert.equal(mythx.getSourceIndex(undefined), -1);
+    });
+
     it('should remap MythX Output object to array grouped by sourceLocation', () => {
         const mythXOutput = {
             'sourceType': 'solidity-file',
@@ -98,10 +171,8 @@ describe('mythx.js', () => {
         }]
         );
     });
-    
-    /*
-    FIXME: skip it for now truffle generates wrong indexed json files
-    it('should remap MythX Output object to array grouped by sourceLocation when outpit is multiple', () => {
+
+    it('should remap MythX Output object to array grouped by sourceLocation when output is multiple', () => {
         const mythXOutput = {
             'sourceType': 'solidity-file',
             'sourceFormat': 'text',
@@ -150,10 +221,7 @@ describe('mythx.js', () => {
                     head: 'A floating pragma is set.',
                     tail: 'It is recommended to make a conscious choice on what version of Solidity is used for compilation. Currently any version equal or grater than "0.5.0" is allowed.',
                 },
-                extra: {
-                    head: 'A floating pragma is set.',
-                    tail: 'It is recommended to make a conscious choice on what version of Solidity is used for compilation. Currently any version equal or grater than "0.5.0" is allowed.',
-                },
+                extra: {},
                 severity: 'Low',
                 sourceMap: '0:23:0',
                 swcID: 'SWC-103',
@@ -166,6 +234,10 @@ describe('mythx.js', () => {
                 extra: {},
                 severity: 'Low',
                 sourceMap: '400:19:0',
+                relatedLocations: [{
+                    sourceMap: '312:10:1',
+                    source: '/tmp/contracts/sol2.sol',
+                }],
                 swcID: 'SWC-109',
                 swcTitle: 'Uninitialized Storage Pointer',
             }],
@@ -173,22 +245,24 @@ describe('mythx.js', () => {
             sourceFormat: 'text',
             sourceType: 'solidity-file',
         }, {
-            issues: [{
-                description: {
-                    head: 'Dangerous use of uninitialized storage variables.',
-                    tail: 'Uninitialized storage variables of user-defined type can point to unexpected storage locations. Initialize variable "upgraded" or set the storage attribute "memory".',
-                },
-                extra: {},
-                severity: 'Low',
-                sourceMap: '312:10:1',
-                swcID: 'SWC-109',
-                swcTitle: 'Uninitialized Storage Pointer',
-            }],
+            issues: [],
             source: '/tmp/contracts/sol2.sol',
             sourceFormat: 'text',
             sourceType: 'solidity-file',
         }]
         );
     });
-    */
+
+    it('should hash bytecode the way MythX lists it', () => {
+        assert.equal(mythx.bytecodeHash('0x6080'),
+                     '0x1a578b7a4b0b5755db6d121b4118d4bc68fe170dca840c59bc922f14175a76b0');
+        assert.equal(mythx.bytecodeHash('0x'), null);
+        assert.equal(mythx.bytecodeHash(undefined), null);
+    });
+
+    it('should expand compressed source maps into one entry per location', () => {
+        assert.deepEqual(mythx.expandSourceMap('400:19:0'), ['400:19:0']);
+        assert.deepEqual(mythx.expandSourceMap('400:19:0;512:4;:7:1;'),
+                         ['400:19:0', '512:4:0', '512:7:1']);
+    });
 });
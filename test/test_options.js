@@ -0,0 +1,78 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const options = require('../lib/options');
+
+
+describe('options', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+    });
+
+    afterEach(() => {
+        const optionsPath = path.join(tmpDir, options.optionsFileName);
+        if (fs.existsSync(optionsPath)) {
+            fs.unlinkSync(optionsPath);
+        }
+        fs.rmdirSync(tmpDir);
+    });
+
+    it('should accept valid options', () => {
+        options.validateOptions({
+            limit: 4,
+            timeout: 300,
+            mode: 'full',
+            style: ['stylish', 'json'],
+            debug: true,
+            progress: false,
+            'fail-on': 'high',
+            contracts: ['Token'],
+            exclude: 'Migrations',
+            'ignore-swc': ['SWC-103'],
+        }, '.mythx.yml');
+    });
+
+    it('should suggest the option meant by a misspelled name', () => {
+        assert.throws(() => options.validateOptions({ timout: 300 }, '.mythx.yml'),
+                      /\.mythx\.yml:\n {2}unknown option "timout"; did you mean "timeout"\?/);
+    });
+
+    it('should report values of the wrong type', () => {
+        assert.throws(() => options.validateOptions({ limit: 'ten', 'ignore-swc': [103] }, '.mythx.yml'),
+                      err => err.message.includes('option "limit" should be a number; got "ten".') &&
+                      err.message.includes('option "ignore-swc" should be an SWC ID'));
+    });
+
+    it('should read .mythx.yml', () => {
+        fs.writeFileSync(path.join(tmpDir, options.optionsFileName), 'limit: 4\nignore-swc:\n  - SWC-103\n');
+        assert.deepEqual(options.loadOptionsFile(tmpDir), { limit: 4, 'ignore-swc': ['SWC-103'] });
+    });
+
+    it('should return no options when there is no .mythx.yml', () => {
+        assert.deepEqual(options.loadOptionsFile(tmpDir), {});
+    });
+
+    it('should let command-line options override .mythx.yml and truffle-config.js', () => {
+        fs.writeFileSync(path.join(tmpDir, options.optionsFileName), 'limit: 4\nstyle: json\n');
+        const config = {
+            working_directory: tmpDir,
+            limit: 2,
+            verify: {
+                style: 'unix',
+                timeout: 300,
+            },
+        };
+        options.applyOptions(config);
+        assert.equal(config.limit, 2);
+        assert.equal(config.style, 'json');
+        assert.equal(config.timeout, 300);
+    });
+
+    it('should find near misses of a name', () => {
+        assert.deepEqual(options.nearMisses('Tokn', ['Token', 'TestToken', 'Ownership']), ['Token']);
+        assert.equal(options.editDistance('kitten', 'sitting'), 3);
+    });
+});
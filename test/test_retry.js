@@ -0,0 +1,106 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const retry = require('../lib/retry');
+
+
+describe('retry', () => {
+    describe('classifyError', () => {
+        it('should tell failures apart', () => {
+            const reset = new Error('read ECONNRESET');
+            reset.code = 'ECONNRESET';
+            assert.equal(retry.classifyError(reset), 'network');
+            assert.equal(retry.classifyError(new Error('socket hang up')), 'network');
+            assert.equal(retry.classifyError(
+                'Failed in retrieving analysis response, HTTP status code: 429\nToo Many Requests'), 'rate-limit');
+            assert.equal(retry.classifyError(Object.assign(new Error('received error 500 from API server'),
+                { statusCode: 500 })), 'server');
+            assert.equal(retry.classifyError(
+                'User-specified or default time out reached after 2 minutes.\n'), 'timeout');
+            assert.equal(retry.classifyError('MythX credentials are incorrect.'), 'auth');
+            assert.equal(retry.classifyError(new Error('Unexpected token')), 'other');
+        });
+    });
+
+    describe('isUnprocessed', () => {
+        it('should tell requests that MythX surely did not act on', () => {
+            const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+            const reset = Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+            assert.ok(retry.isUnprocessed(refused));
+            assert.ok(retry.isUnprocessed(Object.assign(new Error('slow down'), { statusCode: 429 })));
+            assert.ok(!retry.isUnprocessed(reset));
+            assert.ok(!retry.isUnprocessed(Object.assign(new Error('bad gateway'), { statusCode: 502 })));
+            assert.ok(!retry.isUnprocessed(undefined));
+        });
+    });
+
+    describe('getRetryAfter', () => {
+        it('should read seconds and dates', () => {
+            assert.equal(retry.getRetryAfter({ headers: { 'retry-after': '30' } }), 30000);
+            const now = () => Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+            assert.equal(retry.getRetryAfter({ response: { headers: { 'retry-after': 'Wed, 21 Oct 2015 07:28:10 GMT' } } }, now),
+                10000);
+            assert.equal(retry.getRetryAfter(new Error('no headers')), null);
+        });
+
+        it('should wait no longer than the maximum', () => {
+            assert.equal(retry.getRetryAfter({ headers: { 'retry-after': '86400' } }), retry.maxRetryAfter);
+            const now = () => Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+            assert.equal(retry.getRetryAfter({ headers: { 'retry-after': 'Thu, 22 Oct 2015 07:28:00 GMT' } }, now),
+                retry.maxRetryAfter);
+        });
+    });
+
+    describe('backoffDelay', () => {
+        it('should double the delay with each retry, with jitter', () => {
+            assert.equal(retry.backoffDelay(1, () => 0), 1000);
+            assert.equal(retry.backoffDelay(1, () => 0.99999), 2000);
+            assert.equal(retry.backoffDelay(3, () => 0), 4000);
+            assert.equal(retry.backoffDelay(20, () => 0), 30000);
+        });
+    });
+
+    describe('withRetries', () => {
+        const serverError = Object.assign(new Error('received error 503 from API server'), { statusCode: 503 });
+
+        it('should retry retryable failures', async () => {
+            const fn = sinon.stub();
+            fn.onCall(0).rejects(serverError);
+            fn.onCall(1).rejects(Object.assign(new Error('slow down'), {
+                statusCode: 429,
+                headers: { 'retry-after': '7' },
+            }));
+            fn.onCall(2).resolves('done');
+            const onRetry = sinon.stub();
+            const wait = sinon.stub().resolves();
+
+            assert.equal(await retry.withRetries(fn, { retries: 2, onRetry, wait }), 'done');
+            assert.deepEqual(fn.args, [[1], [2], [3]]);
+            assert.deepEqual(onRetry.args.map(([ attempt, kind ]) => [attempt, kind]),
+                [[2, 'server'], [3, 'rate-limit']]);
+            assert.equal(wait.getCall(1).args[0], 7000);
+        });
+
+        it('should give up after the last retry', async () => {
+            const fn = sinon.stub().rejects(serverError);
+            const wait = sinon.stub().resolves();
+            await assert.rejects(retry.withRetries(fn, { retries: 1, wait }), serverError);
+            assert.equal(fn.callCount, 2);
+        });
+
+        it('should retry only the failures it is told to', async () => {
+            const fn = sinon.stub().rejects(serverError);
+            const wait = sinon.stub().resolves();
+            await assert.rejects(retry.withRetries(fn, { retries: 3, retryIf: retry.isUnprocessed, wait }),
+                serverError);
+            assert.equal(fn.callCount, 1);
+        });
+
+        it('should not retry other failures', async () => {
+            const fn = sinon.stub().rejects('MythX credentials are incorrect.');
+            const wait = sinon.stub().resolves();
+            await assert.rejects(retry.withRetries(fn, { retries: 3, wait }));
+            assert.equal(fn.callCount, 1);
+            assert.ok(!wait.called);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const url = require('url');
+
+
+describe('submit', () => {
+    const apiUrl = new url.URL('https://api.mythx.io');
+    const analyzeOpts = { data: { contractName: 'Token' }, timeout: 1000 };
+    let request, submit, client;
+
+    const respond = (statusCode, data, headers = {}) => (options, callback) =>
+        callback(null, { statusCode, headers }, data);
+
+    beforeEach(() => {
+        request = sinon.stub();
+        submit = proxyquire('../lib/submit', { request });
+        client = { email: 'me@example.com', password: 'secret', apiUrl };
+    });
+
+    it('should log in and post the analysis', async () => {
+        request.onFirstCall().callsFake(respond(200, { access: 'access-1', refresh: 'refresh-1' }));
+        request.onSecondCall().callsFake(respond(200, { uuid: 'uuid-1' }));
+
+        assert.equal(await submit.submitAnalysis(client, analyzeOpts), 'uuid-1');
+        const loginOptions = request.getCall(0).args[0];
+        assert.equal(loginOptions.url, 'https://api.mythx.io/v1/auth/login');
+        assert.equal(loginOptions.form.email, 'me@example.com');
+        assert.equal(loginOptions.form.password, 'secret');
+        const options = request.getCall(1).args[0];
+        assert.equal(options.url, 'https://api.mythx.io/v1/analyses');
+        assert.equal(options.headers.Authorization, 'Bearer access-1');
+        assert.deepEqual(options.json, analyzeOpts);
+    });
+
+    it('should refresh an expired access token and post again', async () => {
+        request.onCall(0).callsFake(respond(200, { access: 'access-1', refresh: 'refresh-1' }));
+        request.onCall(1).callsFake(respond(401, {}));
+        request.onCall(2).callsFake(respond(200, { accessToken: 'access-2', refreshToken: 'refresh-2' }));
+        request.onCall(3).callsFake(respond(200, { uuid: 'uuid-1' }));
+
+        assert.equal(await submit.submitAnalysis(client, analyzeOpts), 'uuid-1');
+        const refreshOptions = request.getCall(2).args[0];
+        assert.equal(refreshOptions.url, 'https://api.mythx.io/v1/auth/refresh');
+        assert.deepEqual(refreshOptions.form, { refreshToken: 'refresh-1', accessToken: 'access-1' });
+        assert.equal(request.getCall(3).args[0].headers.Authorization, 'Bearer access-2');
+    });
+
+    it('should reject incorrect credentials', async () => {
+        request.callsFake(respond(401, { error: 'Wrong password' }));
+
+        await assert.rejects(submit.submitAnalysis(client, analyzeOpts), err => {
+            assert.equal(err.statusCode, 401);
+            assert.equal(err.message, 'MythX credentials are incorrect.');
+            return true;
+        });
+        assert.equal(request.callCount, 1);
+    });
+
+    it('should reject with the status and headers of a refused request', async () => {
+        client.accessToken = 'api-key';
+        request.callsFake(respond(429, { details: [{ message: 'Too many requests' }] }, { 'retry-after': '30' }));
+
+        await assert.rejects(submit.submitAnalysis(client, analyzeOpts), err => {
+            assert.equal(err.statusCode, 429);
+            assert.deepEqual(err.headers, { 'retry-after': '30' });
+            assert.equal(err.message, 'Failed in submitting analysis, HTTP status code: 429: Too many requests');
+            return true;
+        });
+        assert.equal(request.callCount, 1);
+    });
+
+    it('should get the status and issues of an analysis', async () => {
+        client.accessToken = 'api-key';
+        request.onFirstCall().callsFake(respond(200, { uuid: 'uuid-1', status: 'Finished' }));
+        request.onSecondCall().callsFake(respond(200, [{ issues: [] }]));
+
+        assert.deepEqual(await submit.getStatus(client, 'uuid-1'), { uuid: 'uuid-1', status: 'Finished' });
+        assert.deepEqual(await submit.getIssues(client, 'uuid-1'), [{ issues: [] }]);
+        assert.deepEqual(request.args.map(([ options ]) => [ options.method, options.url ]), [
+            [ 'GET', 'https://api.mythx.io/v1/analyses/uuid-1' ],
+            [ 'GET', 'https://api.mythx.io/v1/analyses/uuid-1/issues' ],
+        ]);
+    });
+
+    it('should reject a failed status request with its status', async () => {
+        client.accessToken = 'api-key';
+        request.callsFake(respond(503, 'Service Unavailable'));
+
+        await assert.rejects(submit.getStatus(client, 'uuid-1'), err => {
+            assert.equal(err.statusCode, 503);
+            assert.equal(err.message, 'Failed in retrieving the status of analysis uuid-1, HTTP status code: 503');
+            return true;
+        });
+    });
+});
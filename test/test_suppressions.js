@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { parseSuppressions } = require('../lib/suppressions');
+
+
+describe('suppressions', () => {
+    it('should suppress issues on the line after disable-next-line', () => {
+        const isSuppressed = parseSuppressions([
+            'contract C {',
+            '    // mythx-disable-next-line SWC-101',
+            '    uint x = a + b;',
+            '    uint y = a + b;',
+            '}',
+        ].join('\n'));
+        assert.ok(isSuppressed(3, 'SWC-101'));
+        assert.ok(!isSuppressed(3, 'SWC-107'));
+        assert.ok(!isSuppressed(4, 'SWC-101'));
+    });
+
+    it('should suppress every issue after disable-next-line without SWC IDs', () => {
+        const isSuppressed = parseSuppressions('// mythx-disable-next-line\nuint x = a + b;\n');
+        assert.ok(isSuppressed(2, 'SWC-101'));
+        assert.ok(isSuppressed(2, 'SWC-107'));
+    });
+
+    it('should suppress issues between disable and enable', () => {
+        const isSuppressed = parseSuppressions([
+            'pragma solidity ^0.5.0;',
+            '/* mythx-disable SWC-107 SWC-101 */',
+            'function withdraw() public {',
+            '    msg.sender.call.value(amount)("");',
+            '}',
+            '// mythx-enable SWC-107',
+            'function other() public {}',
+            '// mythx-enable',
+            'function last() public {}',
+        ].join('\n'));
+        assert.ok(!isSuppressed(1, 'SWC-107'));
+        assert.ok(isSuppressed(4, 'SWC-107'));
+        assert.ok(!isSuppressed(4, 'SWC-103'));
+        assert.ok(!isSuppressed(7, 'SWC-107'));
+        assert.ok(isSuppressed(7, 'SWC-101'));
+        assert.ok(!isSuppressed(9, 'SWC-101'));
+    });
+
+    it('should let enable make exceptions to a disable without SWC IDs', () => {
+        const isSuppressed = parseSuppressions([
+            '// mythx-disable',
+            '// mythx-enable SWC-101',
+            'uint x = a + b;',
+        ].join('\n'));
+        assert.ok(isSuppressed(3, 'SWC-107'));
+        assert.ok(!isSuppressed(3, 'SWC-101'));
+    });
+
+    it('should not suppress anything without comments', () => {
+        const isSuppressed = parseSuppressions('contract C {}\n');
+        assert.ok(!isSuppressed(1, 'SWC-101'));
+        assert.ok(!isSuppressed(10, 'SWC-101'));
+    });
+});
@@ -97,4 +97,106 @@ describe('trufstuf', () => {
             '/test/build/contracts/OtherContract.json',
         ]);
     });
+
+    it('should find sources compiled elsewhere under the contracts directory', async () => {
+        statStub.callsFake((file, cb) => file === '/project/contracts/tokens/Token.sol' ?
+            cb(null, { mtime: 1000000 }) : cb('error'));
+
+        const source = await trufstuf.findSourceFile('/home/someone/project/contracts/tokens/Token.sol',
+                                                     '/project/contracts');
+        assert.equal(source.sourcePath, '/project/contracts/tokens/Token.sol');
+        assert.equal(await trufstuf.findSourceFile('/home/someone/project/contracts/tokens/Gone.sol',
+                                                   '/project/contracts'), null);
+    });
+
+    it('should not take other files of the same name for sources compiled elsewhere', async () => {
+        statStub.callsFake((file, cb) => file === '/project/contracts/SafeMath.sol' ?
+            cb(null, { mtime: 1000000 }) : cb('error'));
+
+        assert.equal(await trufstuf.findSourceFile('openzeppelin-solidity/contracts/math/SafeMath.sol',
+                                                   '/project/contracts'), null);
+        assert.equal(await trufstuf.findSourceFile('/other/machine/contracts/deleted/SafeMath.sol',
+                                                   '/project/contracts'), null);
+        assert.equal(await trufstuf.findSourceFile('/home/ci/node_modules/zeppelin/contracts/SafeMath.sol',
+                                                   '/project/contracts'), null);
+        assert.equal((await trufstuf.findSourceFile('/other/machine/contracts/SafeMath.sol',
+                                                    '/project/contracts')).sourcePath,
+                     '/project/contracts/SafeMath.sol');
+    });
+
+    it('should tell why build JSON files were skipped', async () => {
+        statStub.yields(null, { mtime: 1000000 });
+        statStub.onCall(2).yields('error');
+        readdirStub.yields(null, [
+            'Contract.json',
+            'OtherContract.json',
+        ]);
+
+        const { files, skipped } = await trufstuf.scanTruffleBuildJsonFiles('/test/build/contracts');
+        assert.deepEqual(files, [ '/test/build/contracts/OtherContract.json' ]);
+        assert.deepEqual(skipped, [{
+            contractName: 'Contract',
+            sourcePath: undefined,
+            file: '/test/build/contracts/Contract.json',
+            reason: 'no source path in build artifact',
+        }]);
+    });
+
+    describe('matchesContract', () => {
+        const token = {
+            contractName: 'Token',
+            sourcePath: '/project/contracts/token/Token.sol',
+        };
+
+        it('should match contract names', () => {
+            assert.ok(trufstuf.matchesContract(token, 'Token', '/project'));
+            assert.ok(!trufstuf.matchesContract(token, 'Crowdsale', '/project'));
+        });
+
+        it('should match paths, directories and globs of source files', () => {
+            assert.ok(trufstuf.matchesContract(token, 'contracts/token/Token.sol', '/project'));
+            assert.ok(trufstuf.matchesContract(token, './contracts/token/Token.sol', '/project'));
+            assert.ok(trufstuf.matchesContract(token, '/project/contracts/token/Token.sol', '/'));
+            assert.ok(trufstuf.matchesContract(token, 'Token.sol', '/project'));
+            assert.ok(trufstuf.matchesContract(token, 'contracts/token', '/project'));
+            assert.ok(trufstuf.matchesContract(token, 'contracts/**/*.sol', '/project'));
+            assert.ok(!trufstuf.matchesContract(token, 'contracts/crowdsale/*.sol', '/project'));
+            assert.ok(!trufstuf.matchesContract(token, 'contracts/tok', '/project'));
+        });
+
+        it('should match qualified names', () => {
+            assert.ok(trufstuf.matchesContract(token, 'Token.sol:Token', '/project'));
+            assert.ok(trufstuf.matchesContract(token, 'contracts/token/Token.sol:Token', '/project'));
+            assert.ok(!trufstuf.matchesContract(token, 'Token.sol:ERC20', '/project'));
+            assert.ok(!trufstuf.matchesContract(token, 'Other.sol:Token', '/project'));
+        });
+
+        it('should list selectors that match no contract', () => {
+            assert.deepEqual(trufstuf.unmatchedSelectors([ token ], ['Token', 'Tokn', '*.sol'], '/project'),
+                             ['Tokn']);
+        });
+    });
+
+    describe('getUnanalyzableReason', () => {
+        const contract = (contractKind, fullyImplemented, deployedBytecode = '0x6080') => ({
+            contractName: 'Token',
+            deployedBytecode,
+            ast: {
+                nodeType: 'SourceUnit',
+                nodes: [{ nodeType: 'ContractDefinition', name: 'Token', contractKind, fullyImplemented }],
+            },
+        });
+
+        it('should tell interfaces and abstract contracts apart', () => {
+            assert.equal(trufstuf.getUnanalyzableReason(contract('interface', false, '0x')), 'interface');
+            assert.equal(trufstuf.getUnanalyzableReason(contract('contract', false, '0x')), 'abstract contract');
+            assert.equal(trufstuf.getUnanalyzableReason(contract('library', true, '0x')), 'no bytecode');
+            assert.equal(trufstuf.getUnanalyzableReason({ contractName: 'Token' }), 'no bytecode');
+        });
+
+        it('should accept contracts with bytecode', () => {
+            assert.equal(trufstuf.getUnanalyzableReason(contract('contract', true)), null);
+            assert.equal(trufstuf.getUnanalyzableReason(contract('library', true)), null);
+        });
+    });
 });
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vyper = require('../lib/vyper');
+const mythx = require('../lib/mythx');
+const { MythXIssues } = require('../lib/issues2eslint');
+
+
+describe('vyper', () => {
+    const source = [
+        'owner: public(address)',
+        '',
+        '@public',
+        'def __init__():',
+        '    self.owner = msg.sender',
+        '',
+        '@public',
+        'def kill():',
+        '    selfdestruct(msg.sender)',
+        '',
+    ].join('\n');
+    const buildObj = {
+        contractName: 'Wallet',
+        abi: [],
+        bytecode: '0x600035601c52',
+        deployedBytecode: '0x600035601c52',
+        sourceMap: JSON.stringify({
+            breakpoints: [],
+            pc_pos_map: {
+                '0': [7, 0, 9, 28],
+                '4': [9, 4, 9, 28],
+                '2': [8, 0, null, null],
+            },
+        }),
+        source,
+        sourcePath: '/project/contracts/Wallet.vy',
+        compiler: { name: 'vyper', version: '0.1.0b10' },
+    };
+
+    it('should recognize Vyper sources and build objects', () => {
+        assert.ok(vyper.isVyperSource('contracts/Wallet.vy'));
+        assert.ok(vyper.isVyperSource('contracts/Wallet.v.py'));
+        assert.ok(!vyper.isVyperSource('contracts/Wallet.sol'));
+        assert.ok(vyper.isVyperBuildObj(buildObj));
+        assert.ok(!vyper.isVyperBuildObj({ compiler: { name: 'solc' } }));
+    });
+
+    it('should find the Vyper sources of a project', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truffle-security-'));
+        fs.mkdirSync(path.join(tmpDir, 'wallets'));
+        fs.writeFileSync(path.join(tmpDir, 'wallets', 'Wallet.vy'), source);
+        fs.writeFileSync(path.join(tmpDir, 'Token.sol'), '');
+        try {
+            assert.deepEqual(vyper.findVyperSources(tmpDir), [ path.join(tmpDir, 'wallets', 'Wallet.vy') ]);
+            assert.deepEqual(vyper.findVyperSources(path.join(tmpDir, 'missing')), []);
+        } finally {
+            fs.unlinkSync(path.join(tmpDir, 'wallets', 'Wallet.vy'));
+            fs.rmdirSync(path.join(tmpDir, 'wallets'));
+            fs.unlinkSync(path.join(tmpDir, 'Token.sol'));
+            fs.rmdirSync(tmpDir);
+        }
+    });
+
+    it('should map program counters to the last position before them', () => {
+        const positions = vyper.parsePcPositions(buildObj.sourceMap);
+        assert.deepEqual(positions.map(({ pc }) => pc), [0, 2, 4]);
+        assert.deepEqual(vyper.pc2LineColumn(positions, 3),
+                         [ { line: 8, column: 0 }, { line: 8, column: 0 } ]);
+        assert.deepEqual(vyper.pc2LineColumn(positions, 4),
+                         [ { line: 9, column: 4 }, { line: 9, column: 28 } ]);
+        assert.equal(vyper.parsePcPositions('not json'), null);
+        assert.equal(vyper.parsePcPositions(undefined), null);
+    });
+
+    it('should send the source and bytecode of Vyper contracts', () => {
+        assert.deepEqual(mythx.truffle2MythXJSON(buildObj), {
+            contractName: 'Wallet',
+            bytecode: '0x600035601c52',
+            deployedBytecode: '0x600035601c52',
+            sourceList: [ '/project/contracts/Wallet.vy' ],
+            sources: {
+                'Wallet.vy': { source },
+            },
+            toolId: 'truffle-security',
+            version: '0.1.0b10',
+        });
+    });
+
+    it('should report bytecode issues on lines of the Vyper source', () => {
+        const issuesObject = new MythXIssues(buildObj);
+        issuesObject.setIssues([{
+            sourceType: 'raw-bytecode',
+            sourceFormat: 'evm-byzantium-bytecode',
+            sourceList: [ '/project/contracts/Wallet.vy' ],
+            issues: [{
+                swcID: 'SWC-106',
+                swcTitle: 'Unprotected SELFDESTRUCT Instruction',
+                description: { head: 'Anyone can kill this contract.', tail: '' },
+                severity: 'High',
+                locations: [{ sourceMap: '5:1:0' }],
+            }],
+        }]);
+
+        const [ report ] = issuesObject.getEslintIssues(true);
+        assert.equal(report.filePath, '/project/contracts/Wallet.vy');
+        assert.deepEqual(report.messages.map(({ line, column, endLine, endCol }) => [line, column, endLine, endCol]),
+                         [[9, 4, 9, 28]]);
+    });
+});